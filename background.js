@@ -1,6 +1,38 @@
-// State: Map<tabId, { state, filename, tabTitle, domain, startTime, pausedMs, pauseAt, lastTitleSec, finalElapsed }>
+importScripts('chunk-store.js');
+
+// State: Map<tabId, { state, recordingId, sessionId, micSessionId, part, split, partStartElapsed, filename, format,
+//                     tabTitle, domain, url, counter, startTime, pausedMs, pauseAt, lastTitleSec, finalElapsed,
+//                     micError, mixTabs, markers, tags }>
+// sessionId is the chunk-store session of the file being written now; a split recording
+// moves on to a new session per part, all sharing one recordingId. micSessionId is set
+// while the microphone is recorded to a file of its own.
+// mixTabs: [{ tabId, title, gain }] — every tab mixed into the recording. The map key is
+// the tab it was started from; other tabs find it through hostTabOf().
+// markers: [{ time, label }] — time is recorded (unpaused) ms since the start.
+// Mirrored to chrome.storage.session (see State persistence) so a restarted
+// service worker picks up recordings the offscreen document is still making.
 const tabStates = new Map();
 
+// Output formats: extension appended by makeFilename, MIME type recorded in history.
+// WebM is produced by MediaRecorder; WAV and MP3 are encoded from raw PCM in offscreen.js.
+const FORMATS = {
+  webm: { ext: 'webm', mimeType: 'audio/webm' },
+  wav:  { ext: 'wav',  mimeType: 'audio/wav' },
+  mp3:  { ext: 'mp3',  mimeType: 'audio/mpeg' },
+};
+
+// Map<downloadId, { url, sessionId }> — saves still streaming from an offscreen
+// blob URL. Mirrored to chrome.storage.session like tabStates, so a download
+// that ends after the worker restarted still releases its URL and session.
+const pendingDownloads = new Map();
+// Map<downloadId, Promise<entry>> — the history entry of each save this worker
+// started, resolved once it's written
+const savedEntries = new Map();
+// Map<sessionId, url> — uploads reading from a save's blob URL, which stays alive
+// until they're done; a failed one without a local file keeps it for a retry.
+// Mirrored to chrome.storage.session along with pendingDownloads.
+const pendingUploads = new Map();
+
 const ICONS = {
   idle: 'icons/idle.png',
   recording: 'icons/recording.png',
@@ -9,6 +41,17 @@ const ICONS = {
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+// Wraps an async function so calls run one at a time, each after the one
+// before has settled: read-modify-write of a storage key without lost updates.
+function serialized(fn) {
+  let last = Promise.resolve();
+  return (...args) => {
+    const run = last.then(() => fn(...args));
+    last = run.catch(() => {});
+    return run;
+  };
+}
+
 function extractDomain(url) {
   try {
     const host = new URL(url).hostname.replace(/^www\./, '');
@@ -20,56 +63,141 @@ function extractDomain(url) {
   }
 }
 
-function applyMask(mask, title, domain) {
+// Mask placeholders. {date}, {time} and {datetime} also take a format after a
+// colon — {date:YYYYMMDD}, {time:HH.mm.ss} — built from YYYY YY MM DD HH mm ss.
+// {duration} isn't known until the file is saved, so it's left in the name
+// here and filled in by resolveFilename().
+const DATE_FORMATS = { date: 'YYYY-MM-DD', time: 'HH-mm', datetime: 'YYYY-MM-DD_HH-mm' };
+
+function applyMask(mask, { title, domain, url, counter, part }) {
   const now = new Date();
-  const date = [
-    now.getFullYear(),
-    String(now.getMonth() + 1).padStart(2, '0'),
-    String(now.getDate()).padStart(2, '0'),
-  ].join('-');
-  const time = [
-    String(now.getHours()).padStart(2, '0'),
-    String(now.getMinutes()).padStart(2, '0'),
-  ].join('-');
-  const datetime = `${date}_${time}`;
-
-  const safeTitle = (title || 'tab')
-    .replace(/[^a-zA-Z0-9_\- ]/g, '_')
-    .replace(/\s+/g, '_')
-    .replace(/_+/g, '_')
-    .replace(/^_|_$/g, '')
-    .slice(0, 60) || 'tab';
+  const values = {
+    title:    sanitizeName(title, 60) || 'tab',
+    domain:   sanitizeName(domain) || 'unknown',
+    url_path: sanitizeName(urlPath(url), 60),
+    counter:  String(counter || 1).padStart(3, '0'),
+    part:     String(part || 1).padStart(2, '0'),
+  };
+  return mask.replace(/{(\w+)(?::([^}]*))?}/g, (match, key, format) => {
+    if (key in DATE_FORMATS) return sanitizeName(formatDate(now, format || DATE_FORMATS[key]));
+    if (key in values && format === undefined) return values[key];
+    return match;
+  });
+}
+
+function formatDate(date, format) {
+  const pad = n => String(n).padStart(2, '0');
+  const fields = {
+    YYYY: String(date.getFullYear()),
+    YY:   String(date.getFullYear()).slice(-2),
+    MM:   pad(date.getMonth() + 1),
+    DD:   pad(date.getDate()),
+    HH:   pad(date.getHours()),
+    mm:   pad(date.getMinutes()),
+    ss:   pad(date.getSeconds()),
+  };
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => fields[token]);
+}
 
-  const safeDomain = (domain || 'unknown')
-    .replace(/[^a-zA-Z0-9._-]/g, '_');
+// "/watch/abc" → "watch_abc"; empty for the site root.
+function urlPath(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname).replace(/^\/+|\/+$/g, '').replace(/\//g, '_');
+  } catch {
+    return '';
+  }
+}
 
-  return mask
-    .replace(/{title}/g, safeTitle)
-    .replace(/{domain}/g, safeDomain)
-    .replace(/{date}/g, date)
-    .replace(/{time}/g, time)
-    .replace(/{datetime}/g, datetime);
+// Strips only what file systems reject — control characters and <>:"/\|?* —
+// so titles in any script survive. Whitespace becomes "_"; leading and
+// trailing dots are dropped (hidden files, and Windows ignores trailing ones).
+function sanitizeName(text, maxLength = 120) {
+  const clean = String(text || '')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^[_.]+/, '');
+  // Cut by code point, so a surrogate pair isn't split in half
+  return [...clean].slice(0, maxLength).join('').replace(/[_.]+$/, '');
 }
 
-async function makeFilename(tabTitle, domain) {
+// `source` — { tabTitle, domain, url, counter } of the recording.
+// `part` is set only for split recordings; their parts must not share a name,
+// so a mask without {part} gets one appended. `suffix` marks extra tracks (-mic).
+async function makeFilename(source, ext = 'webm', part = null, suffix = '') {
   const DEFAULT_MASK = 'recording-{title}-{date}';
-  const result = await chrome.storage.sync.get({
+  const result = await getSettings({
     filenameMask: DEFAULT_MASK,
     saveFolder: '',
     groupByDomain: false,
+  }, source.url);
+  let mask = result.filenameMask.trim() || DEFAULT_MASK;
+  if (part && !mask.includes('{part}')) mask += '-{part}';
+  const base = applyMask(mask, {
+    title: source.tabTitle, domain: source.domain, url: source.url, counter: source.counter, part,
   });
-  const name = applyMask(result.filenameMask, tabTitle, domain) + '.webm';
-  const safeDomain = (domain || 'unknown').replace(/[<>:"|?*\s]/g, '_');
+  // A mask is allowed subfolders ("{domain}/{title}"), but no empty or dot-only segments
+  const name = `${base.split('/').map(seg => seg.replace(/^\.+$/, '_')).filter(Boolean).join('/') || 'recording'}${suffix}.${ext}`;
+  const safeDomain = sanitizeName(source.domain) || 'unknown';
 
   let folder = (result.saveFolder || '').trim().replace(/\\/g, '/').replace(/\/+$/, '');
   folder = folder.replace(/[<>:"|?*]/g, '');
   const parts = [];
   if (folder) parts.push(folder);
-  if (result.groupByDomain && domain) parts.push(safeDomain);
+  if (result.groupByDomain && source.domain) parts.push(safeDomain);
   parts.push(name);
   return parts.join('/');
 }
 
+// Sequence number for {counter}; one per recording, shared by its parts.
+// Handed out one at a time so recordings starting together never share one.
+const nextCounter = serialized(async () => {
+  const { filenameCounter = 0 } = await chrome.storage.local.get('filenameCounter');
+  await chrome.storage.local.set({ filenameCounter: filenameCounter + 1 });
+  return filenameCounter + 1;
+});
+
+// Final name for a saved file: fills in {duration} and, when the name is
+// already taken by another recording or an existing download, adds -2, -3, …
+async function resolveFilename(filename, duration) {
+  const resolved = filename.replace(/{duration}/g, formatDuration(duration));
+  const { history = [] } = await chrome.storage.local.get({ history: [] });
+  const taken = new Set(history.map(h => h.filename));
+  [...tabStates.values()].forEach(st => taken.add(st.filename));
+
+  const dot = resolved.lastIndexOf('.');
+  const stem = resolved.slice(0, dot);
+  const ext = resolved.slice(dot);
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? resolved : `${stem}-${n}${ext}`;
+    if (!taken.has(candidate) && !(await downloadExists(candidate))) return candidate;
+  }
+}
+
+// Downloads report absolute paths with the platform's separator.
+async function downloadExists(relativePath) {
+  const pattern = relativePath.split('/')
+    .map(seg => seg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[\\\\/]');
+  try {
+    const found = await chrome.downloads.search({ filenameRegex: `[\\\\/]${pattern}$`, exists: true, limit: 1 });
+    return found.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// 754000 → "12m34s"; 3723000 → "1h02m03s"
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const s = String(total % 60).padStart(2, '0');
+  const m = Math.floor(total / 60) % 60;
+  const h = Math.floor(total / 3600);
+  if (h > 0) return `${h}h${String(m).padStart(2, '0')}m${s}s`;
+  if (m > 0) return `${m}m${s}s`;
+  return `${total}s`;
+}
+
 function getElapsed(st) {
   if (st.state === 'paused') {
     return (st.pauseAt || Date.now()) - st.startTime - st.pausedMs;
@@ -96,14 +224,95 @@ function setDefaultTitle(tabId) {
   chrome.action.setTitle({ title: 'Record Tab Audio', tabId }, () => void chrome.runtime.lastError);
 }
 
+// The tab a recording is keyed by — tabId itself, or the tab whose mix it joined
+function hostTabOf(tabId) {
+  if (tabStates.has(tabId)) return tabId;
+  for (const [hostId, st] of tabStates) {
+    if (st.mixTabs.some(t => t.tabId === tabId)) return hostId;
+  }
+  return tabId;
+}
+
+function updateMixIcons(st, state) {
+  st.mixTabs.forEach(({ tabId }) => {
+    updateIcon(tabId, state);
+    if (state === 'idle') setDefaultTitle(tabId);
+  });
+}
+
 // ─── History ──────────────────────────────────────────────────────────────────
 
-async function appendHistoryEntry(entry) {
-  const result = await chrome.storage.local.get({ history: [] });
-  const history = result.history;
-  history.unshift(entry);
-  if (history.length > 100) history.splice(100);
+// The full recording library, newest first — kept whole (unlimitedStorage) and
+// browsed in library.html. Besides what a save records, the library adds
+// `labels` (the user's own tags — `tags` are the file's metadata) and a `note`.
+
+// Read-modify-write of the history, serialized so saves finishing together
+// and edits from the library page don't overwrite each other.
+const updateHistory = serialized(async (fn) => {
+  const { history = [] } = await chrome.storage.local.get({ history: [] });
+  const result = fn(history);
   await chrome.storage.local.set({ history });
+  return result;
+});
+
+function appendHistoryEntry(entry) {
+  return updateHistory(history => { history.unshift(entry); });
+}
+
+// Replaces the entry of the same session, or adds it
+function putHistoryEntry(entry) {
+  return updateHistory(history => {
+    const i = history.findIndex(h => h.sessionId === entry.sessionId);
+    if (i >= 0) history.splice(i, 1);
+    history.unshift(entry);
+  });
+}
+
+async function handleUpdateHistoryEntry({ sessionId, labels, note }, sendResponse) {
+  const found = await updateHistory(history => {
+    const entry = history.find(h => h.sessionId === sessionId);
+    if (!entry) return false;
+    if (labels !== undefined) entry.labels = [...new Set(labels.map(l => String(l).trim()).filter(Boolean))];
+    if (note !== undefined) entry.note = String(note).trim();
+    return true;
+  });
+  sendResponse(found ? { ok: true } : { ok: false, error: 'Recording not found' });
+}
+
+// Drops entries from the library, with their copies kept for editing. With
+// `deleteFiles` the audio files are deleted from disk too;
+// files that are already gone are not an error.
+async function handleRemoveHistoryEntries({ sessionIds, deleteFiles = false }, sendResponse) {
+  const ids = new Set(sessionIds);
+  const removed = await updateHistory(history => {
+    const gone = history.filter(h => ids.has(h.sessionId));
+    const kept = history.filter(h => !ids.has(h.sessionId));
+    history.splice(0, history.length, ...kept);
+    return gone;
+  });
+  const failed = [];
+  for (const entry of removed) {
+    deleteFile(entry.sessionId).catch(() => {});
+    // A failed upload without a local file held on to the recording for a retry
+    const uploadUrl = pendingUploads.get(entry.sessionId);
+    if (pendingUploads.delete(entry.sessionId)) { persistPending(); releaseIfUnused(uploadUrl); }
+    if (!deleteFiles) continue;
+    if (entry.downloadId === undefined) continue;
+    try {
+      const [item] = await chrome.downloads.search({ id: entry.downloadId });
+      if (item?.exists) await chrome.downloads.removeFile(entry.downloadId);
+    } catch (e) {
+      console.warn('[background] could not delete', entry.filename, e);
+      failed.push(entry.filename);
+    }
+  }
+  sendResponse({ ok: true, removed: removed.length, failed });
+}
+
+// `limit` entries at most, newest first
+async function handleGetHistory({ limit }, sendResponse) {
+  const { history = [] } = await chrome.storage.local.get({ history: [] });
+  sendResponse(limit > 0 ? history.slice(0, limit) : history);
 }
 
 // ─── Equalizer icon ───────────────────────────────────────────────────────────
@@ -149,6 +358,116 @@ function drawEqualizerIcon(tabId, levels) {
   }
 }
 
+// ─── Errors and notifications ─────────────────────────────────────────────────
+
+// Every failure the user should hear about has one of these reasons. `retry`
+// says whether trying again can help; what it does is given where it's reported.
+const ERROR_REASONS = {
+  'capture-denied':  { title: 'This tab can’t be recorded',      retry: false },
+  'tab-captured':    { title: 'Tab is already being captured',   retry: false },
+  'needs-click':     { title: 'Click the extension to record',   retry: false },
+  'start-failed':    { title: 'Recording didn’t start',          retry: true },
+  'no-audio':        { title: 'Nothing was recorded',            retry: false },
+  'save-failed':     { title: 'Recording couldn’t be assembled', retry: true },
+  'download-failed': { title: 'Saving the file failed',          retry: true },
+  'disk-full':       { title: 'Disk is full',                    retry: true },
+  'upload-failed':   { title: 'Upload failed',                   retry: true },
+  'unexpected':      { title: 'Something went wrong',            retry: false },
+};
+
+const NOTIFY_DEFAULTS = { notifyOnSave: true };
+
+function recorderError(reason, message) {
+  const e = new Error(message || ERROR_REASONS[reason].title);
+  e.reason = reason;
+  return e;
+}
+
+// tabCapture refuses Chrome's own pages, tabs another capture already holds,
+// and tabs the user hasn't invoked the extension on (see holdStart). Chrome's
+// own pages get the not-invoked message too, with a note that no click helps.
+function captureError(e) {
+  const message = e?.message || String(e);
+  if (/cannot be captured|web store|extensions gallery/i.test(message)) return recorderError('capture-denied', message);
+  if (/not been invoked|activeTab/i.test(message)) return recorderError('needs-click', message);
+  return recorderError(/active stream/i.test(message) ? 'tab-captured' : 'capture-denied', message);
+}
+
+// `error` is DownloadItem.error, an InterruptReason
+function downloadError(error) {
+  return error === 'FILE_NO_SPACE'
+    ? recorderError('disk-full', 'There was no room left for the recording')
+    : recorderError('download-failed', `Download interrupted (${error || 'unknown reason'})`);
+}
+
+// Shows the error as a notification and keeps it for the popup until dismissed.
+// `retry`: { action: 'start', tabId } | { action: 'recover' | 'upload', sessionId } | null
+async function reportError(e, retry = null) {
+  const reason = ERROR_REASONS[e.reason] ? e.reason : 'unexpected';
+  const { title, retry: retryable } = ERROR_REASONS[reason];
+  const error = { reason, title, message: e.message || String(e), retry: retryable ? retry : null, time: Date.now() };
+  console.warn(`[background] ${reason}:`, error.message);
+  await chrome.storage.session.set({ lastError: error });
+  // A notification button doesn't count as invoking the extension on the tab,
+  // so a start can only be retried from the popup
+  const startRetry = error.retry?.action === 'start';
+  chrome.notifications.create(`error:${error.time}`, {
+    type: 'basic',
+    iconUrl: ICONS.idle,
+    title,
+    message: startRetry ? `${error.message.replace(/\.$/, '')}. Click the extension on the tab to try again.` : error.message,
+    buttons: error.retry && !startRetry ? [{ title: 'Retry' }] : [],
+  }, () => void chrome.runtime.lastError);
+}
+
+async function notifySaved(downloadId) {
+  const { notifyOnSave } = await chrome.storage.sync.get(NOTIFY_DEFAULTS);
+  if (!notifyOnSave) return;
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  if (!item) return;
+  chrome.notifications.create(`saved:${downloadId}`, {
+    type: 'basic',
+    iconUrl: ICONS.idle,
+    title: 'Recording saved',
+    message: item.filename.replace(/^.*[/\\]/, ''),
+    buttons: [{ title: 'Show in folder' }],
+  }, () => void chrome.runtime.lastError);
+}
+
+async function retryError(retry) {
+  if (retry?.action === 'start') {
+    const tab = await chrome.tabs.get(retry.tabId);
+    await startRecording(tab);
+  } else if (retry?.action === 'recover') {
+    await new Promise((resolve, reject) => handleRecoverSession(retry, (res) => (res.ok ? resolve() : reject(recorderError('save-failed', res.error)))));
+  } else if (retry?.action === 'upload') {
+    await handleRetryUpload(retry, () => {});
+  }
+}
+
+async function handleGetError(message, sendResponse) {
+  const { lastError = null } = await chrome.storage.session.get('lastError');
+  sendResponse(lastError);
+}
+
+async function handleDismissError(message, sendResponse) {
+  await chrome.storage.session.remove('lastError');
+  sendResponse({ ok: true });
+}
+
+// Retry from the popup; a failure replaces the error shown
+async function handleRetryError(message, sendResponse) {
+  const { lastError = null } = await chrome.storage.session.get('lastError');
+  await chrome.storage.session.remove('lastError');
+  try {
+    await retryError(lastError?.retry);
+    sendResponse({ ok: true });
+  } catch (e) {
+    await reportError(e, lastError?.retry);
+    sendResponse({ ok: false, error: e.message, reason: e.reason, title: ERROR_REASONS[e.reason]?.title });
+  }
+}
+
 // ─── Offscreen document ───────────────────────────────────────────────────────
 
 async function ensureOffscreen() {
@@ -166,54 +485,243 @@ async function ensureOffscreen() {
 
 // ─── Start recording ──────────────────────────────────────────────────────────
 
-async function startRecording(tab) {
+// `tabId` if that tab is still open, otherwise a new background tab on `url`,
+// given a moment to load. Null when there's neither.
+async function openTabToRecord({ tabId, url }) {
+  if (tabId != null) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (tab) return tab;
+  }
+  if (!url) return null;
+
+  const tab = await chrome.tabs.create({ url, active: false });
+  // Give the page a chance to load before capture starts
+  await new Promise(resolve => {
+    const timeoutId = setTimeout(done, 30000);
+    function done() {
+      clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    }
+    function onUpdated(id, info) {
+      if (id === tab.id && info.status === 'complete') done();
+    }
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+  return chrome.tabs.get(tab.id);
+}
+
+async function startRecording(tab, { gain = 1 } = {}) {
   await ensureOffscreen();
 
+  // A replay buffer on the tab already holds its capture; the recording takes it
+  // over, and the buffer is only forgotten once offscreen has done that
+  const fromBuffer = replayBuffers.has(tab.id);
   let streamId;
   try {
-    streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tab.id });
+    if (!fromBuffer) streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tab.id });
   } catch (e) {
-    console.error('[background] tabCapture failed:', e);
-    return;
+    throw captureError(e);
   }
 
+  const settings = await getSettings({
+    format: 'webm',
+    mp3Bitrate: 192,
+    splitMode: 'off',
+    splitMinutes: 60,
+    splitMegabytes: 500,
+    ...SILENCE_DEFAULTS,
+    ...MIC_DEFAULTS,
+    ...PROCESSING_DEFAULTS,
+    keepForEditing: false,
+    ...TAG_DEFAULTS,
+  }, tab.url);
+  const format = FORMATS[settings.format] ? settings.format : 'webm';
+  const split = getSplitLimits(settings);
+  const part = split ? 1 : null;
   const domain = extractDomain(tab.url);
-  const filename = await makeFilename(tab.title, domain);
+  const counter = await nextCounter();
+  const filename = await makeFilename({ tabTitle: tab.title, domain, url: tab.url, counter }, FORMATS[format].ext, part);
+  const recordingId = crypto.randomUUID();
+  const sessionId = crypto.randomUUID();
+  const startTime = Date.now();
   tabStates.set(tab.id, {
     state: 'recording',
+    recordingId,
+    sessionId,
+    part,
+    split,
+    partStartElapsed: 0,
     filename,
+    format,
     tabTitle: tab.title,
     domain,
-    startTime: Date.now(),
+    url: tab.url,
+    counter,
+    startTime,
     pausedMs: 0,
     pauseAt: null,
     lastTitleSec: -1,
     finalElapsed: 0,
+    micSessionId: null,
+    micError: null,
+    mixTabs: [{ tabId: tab.id, title: tab.title, gain }],
+    markers: [],
+    tags: makeTags(tab, settings, startTime),
   });
   updateIcon(tab.id, 'recording');
+  const st = tabStates.get(tab.id);
+
+  try {
+    await createSession({
+      id: sessionId, recordingId, part, tabId: tab.id, filename, format, tabTitle: tab.title, domain, startTime,
+      tags: { ...st.tags, part },
+    });
+  } catch (e) {
+    console.warn('[background] crash recovery unavailable for this recording:', e);
+  }
+
+  const mic = getMicConfig(settings);
+  if (mic?.mode === 'files') {
+    Object.assign(mic, await openMicFile(tab.id, st, part));
+    st.micSessionId = mic.sessionId;
+  }
 
   try {
-    await chrome.runtime.sendMessage({
+    const res = await chrome.runtime.sendMessage({
       target: 'offscreen',
       action: 'start',
       streamId,
+      fromBuffer,
       tabId: tab.id,
+      sessionId,
       filename,
+      format,
+      bitrate: settings.mp3Bitrate,
+      silence: getSilenceConfig(settings),
+      mic,
+      gain,
+      processing: getProcessingConfig(settings),
+      keepCopy: settings.keepForEditing,
+      tags: { ...st.tags, part },
     });
+    if (res?.ok === false) throw new Error(res.error);
+    if (res?.micError) {
+      console.warn('[background] recording without microphone:', res.micError);
+      st.micError = res.micError;
+      if (st.micSessionId) deleteSession(st.micSessionId).catch(() => {});
+      st.micSessionId = null;
+    }
+    if (fromBuffer) replayBuffers.delete(tab.id);
+    emitExternal({ event: 'state', tabId: tab.id, state: 'recording' });
+    persistStates();
   } catch (e) {
     console.error('[background] failed to reach offscreen:', e);
     tabStates.delete(tab.id);
+    persistStates();
+    if (fromBuffer) syncReplayBuffers().catch(() => {});
     updateIcon(tab.id, 'idle');
+    deleteSession(sessionId).catch(() => {});
+    if (st.micSessionId) deleteSession(st.micSessionId).catch(() => {});
+    const message = e?.message || String(e);
+    throw recorderError(/permission|not allowed/i.test(message) ? 'capture-denied' : 'start-failed', message);
+  }
+}
+
+// ─── Starts waiting for a click ───────────────────────────────────────────────
+
+// tabCapture only captures a tab once the user has invoked the extension on it.
+// A start nobody clicked for (a schedule, a profile's auto-start, an
+// auto-record rule, an external API caller) that fails for that reason waits
+// here instead, and runs when the popup next opens on the tab.
+// pendingStarts (storage.session): [[tabId, { source, scheduleId?, stopAt?, ruleId? }]]
+const PENDING_START_NOTIFICATION = 'needs-click:';
+
+// Read-modify-write of pendingStarts: `fn` returns [result, changed]
+const updatePendingStarts = serialized(async (fn) => {
+  const { pendingStarts = [] } = await chrome.storage.session.get('pendingStarts');
+  const starts = new Map(pendingStarts);
+  const [result, changed] = fn(starts);
+  if (changed) await chrome.storage.session.set({ pendingStarts: [...starts] });
+  return result;
+});
+
+async function holdStart(tab, pending) {
+  await updatePendingStarts((starts) => {
+    starts.set(tab.id, pending);
+    return [undefined, true];
+  });
+  chrome.action.setTitle({ title: 'Click to start recording', tabId: tab.id }, () => void chrome.runtime.lastError);
+  chrome.action.setBadgeText({ text: 'REC', tabId: tab.id }, () => void chrome.runtime.lastError);
+  chrome.notifications.create(PENDING_START_NOTIFICATION + tab.id, {
+    type: 'basic',
+    iconUrl: ICONS.idle,
+    title: ERROR_REASONS['needs-click'].title,
+    message: `Chrome only lets a recording start from a click. Open “${tab.title || tab.url}” and click the extension’s icon.`,
+    requireInteraction: true,
+  }, () => void chrome.runtime.lastError);
+}
+
+// The start waiting on the tab, if any, left in place
+async function heldStart(tabId) {
+  const { pendingStarts = [] } = await chrome.storage.session.get('pendingStarts');
+  return new Map(pendingStarts).get(tabId) || null;
+}
+
+// Resolves to the start that was waiting on the tab, if any
+async function dropStart(tabId) {
+  const pending = await updatePendingStarts(starts => {
+    const pending = starts.get(tabId);
+    return [pending, starts.delete(tabId)];
+  });
+  if (!pending) return null;
+  chrome.action.setBadgeText({ text: null, tabId }, () => void chrome.runtime.lastError);
+  // A recording that just took over keeps its own title
+  if (!tabStates.has(hostTabOf(tabId))) setDefaultTitle(tabId);
+  chrome.notifications.clear(PENDING_START_NOTIFICATION + tabId);
+  return pending;
+}
+
+// The popup opened on a tab: starts the recording waiting there, if any. The
+// start stays held until it runs, unless it failed in a way waiting won't fix.
+async function handleRunPendingStart({ tabId }, sendResponse) {
+  const pending = await heldStart(tabId);
+  if (!pending) { sendResponse({ started: false }); return; }
+  if ((pending.stopAt && pending.stopAt <= Date.now()) || tabStates.has(hostTabOf(tabId))) {
+    await dropStart(tabId);
+    sendResponse({ started: false });
+    return;
+  }
+  const tab = await chrome.tabs.get(tabId);
+  try {
+    await startRecording(tab);
+  } catch (e) {
+    if (e.reason !== 'needs-click' && !ERROR_REASONS[e.reason]?.retry) await dropStart(tabId);
+    sendResponse({ ok: false, started: false, error: e.message, reason: e.reason, title: ERROR_REASONS[e.reason]?.title });
+    return;
   }
+  await dropStart(tabId);
+  if (pending.scheduleId) {
+    await chrome.alarms.create(`${SCHEDULE_STOP}${pending.scheduleId}:${tab.id}`, { when: pending.stopAt });
+  }
+  if (pending.ruleId && tabStates.has(tab.id)) {
+    autoRecordings.set(tab.id, { ruleId: pending.ruleId, stopAt: null });
+    persistAutoRecord();
+    // The tab may have gone quiet while it waited
+    const { autoRules } = await chrome.storage.sync.get(AUTO_RECORD_DEFAULTS);
+    if (!tab.audible) scheduleAutoStop(tab.id, autoRules.find(r => r.id === pending.ruleId));
+  }
+  sendResponse({ ok: true, started: true });
 }
 
 // ─── Message handlers ─────────────────────────────────────────────────────────
 
-function handleLevels({ tabId, levels }, sendResponse) {
+function handleLevels({ tabId, levels, rms, peak }, sendResponse) {
   const st = tabStates.get(tabId);
   if (st) {
     if (st.state === 'recording') {
-      drawEqualizerIcon(tabId, levels);
+      st.mixTabs.forEach(t => drawEqualizerIcon(t.tabId, levels));
+      forwardLevels(tabId, { levels, rms, peak });
     }
     const elapsed = getElapsed(st);
     const sec = Math.floor(elapsed / 1000);
@@ -221,136 +729,1820 @@ function handleLevels({ tabId, levels }, sendResponse) {
       st.lastTitleSec = sec;
       const label = st.state === 'paused' ? '⏸' : '●';
       const time = elapsed >= 1000 ? formatTime(elapsed) : '0:00';
-      chrome.action.setTitle(
-        { title: `${label} ${time}`, tabId },
+      const tabs = st.mixTabs.length > 1 ? ` · ${st.mixTabs.length} tabs` : '';
+      st.mixTabs.forEach(t => chrome.action.setTitle(
+        { title: `${label} ${time}${tabs}`, tabId: t.tabId },
         () => void chrome.runtime.lastError
-      );
+      ));
     }
   }
   sendResponse({ ok: true });
 }
 
-function handleSave({ tabId, dataUrl, filename }, sendResponse) {
+// `duration` comes along when offscreen knows it better than the session does (replays)
+async function handleSave({ tabId, sessionId, recovered, url, filename, mimeType, trimmedMs = 0, leadingTrimMs = 0, duration: savedMs }, sendResponse) {
   const st = tabStates.get(tabId);
-  const duration = st?.finalElapsed ?? 0;
-  const tabTitle = st?.tabTitle || '';
-  const domain = st?.domain || '';
+  // Tab ids don't survive a browser restart, so a recovered session never owns live tab state
+  const isCurrentPart = !recovered && st?.sessionId === sessionId;
+  // Session metadata also covers earlier parts of a split recording and
+  // recovered sessions, whose tab state has moved on or is gone
+  const meta = await getSession(sessionId).catch(() => null);
 
-  tabStates.delete(tabId);
-  setDefaultTitle(tabId);
-  updateIcon(tabId, 'idle');
+  if (isCurrentPart) {
+    tabStates.delete(tabId);
+    updateMixIcons(st, 'idle');
+    endAutoRecording(tabId);
+    emitExternal({ event: 'state', tabId, state: 'idle' });
+  }
+
+  const source = meta || (!recovered && st) || {};
+  const format = source.format || 'webm';
+  const tabTitle = source.tabTitle || '';
+  const domain = source.domain || '';
+  // Without a stored duration, count chunks: one per second of recorded (unpaused) audio
+  const recordedMs = savedMs ?? meta?.duration
+    ?? (isCurrentPart ? st.finalElapsed - st.partStartElapsed : (meta?.chunkCount || 0) * 1000);
+  const duration = Math.max(0, recordedMs - trimmedMs);
+  const markers = trimMarkers(meta?.markers ?? (isCurrentPart ? partMarkers(st, st.partStartElapsed) : []), leadingTrimMs, duration);
+  // Live state first: tags edited on stop haven't reached the session
+  const tags = isCurrentPart ? { ...st.tags, part: st.part } : meta?.tags;
+  const requested = filename;
+  filename = await resolveFilename(filename, duration);
+  // A copy kept for the editor was stored under the unresolved name
+  if (filename !== requested) renameFile(sessionId, filename).catch(() => {});
+  const upload = await getUploadConfig();
+
+  // Sidecar files, the history entry and the upload, once the file is on its way
+  const record = async (downloadId) => {
+    const entry = {
+      filename, domain, tabTitle, duration, format,
+      mimeType: mimeType || FORMATS[format].mimeType,
+      timestamp: Date.now(), sessionId,
+      ...(downloadId !== undefined && { downloadId }),
+      recordingId: source.recordingId,
+      ...(source.part && { part: source.part }),
+      ...(meta?.track && { track: meta.track }),
+      ...(markers.length && { markers }),
+      ...(tags && { tags }),
+      ...(recovered && { recovered: true }),
+      ...(upload && { upload: { destination: destinationLabel(upload.destination), status: 'uploading' } }),
+    };
+    // A recovered upload-only save replaces its failed entry rather than adding one
+    await (downloadId === undefined ? putHistoryEntry(entry) : appendHistoryEntry(entry));
+    if (upload) sendUpload(entry, url, upload.destination);
+    if (markers.length && !meta?.track) {
+      saveChapters(filename, { markers, duration, format, tabTitle })
+        .catch(e => console.warn('[background] could not save chapter file:', e));
+    }
+    return entry;
+  };
+
+  // Claimed before the download starts, which may finish and release the URL first
+  if (upload) { pendingUploads.set(sessionId, url); persistPending(); }
+  if (upload?.skipDownload) {
+    await record();
+    sendResponse({ ok: true });
+    return;
+  }
 
   chrome.downloads.download(
-    { url: dataUrl, filename, saveAs: false },
-    (downloadId) => {
-      void chrome.runtime.lastError;
-      if (downloadId !== undefined) {
-        appendHistoryEntry({ filename, domain, tabTitle, duration, timestamp: Date.now(), downloadId });
+    { url, filename, saveAs: false },
+    async (downloadId) => {
+      const failure = chrome.runtime.lastError;
+      if (downloadId === undefined) {
+        pendingUploads.delete(sessionId);
+        persistPending();
+        releaseSaveUrl(url);
+        // The session keeps the audio, so saving can be tried again from it
+        const retry = meta?.chunkCount > 0 ? { action: 'recover', sessionId } : null;
+        reportError(recorderError('download-failed', failure?.message), retry).catch(() => {});
+        return;
+      }
+      let recorded;
+      pendingDownloads.set(downloadId, { url, sessionId });
+      savedEntries.set(downloadId, new Promise(resolve => { recorded = resolve; }));
+      persistPending();
+      try {
+        recorded(await record(downloadId));
+      } catch (e) {
+        // The file is on disk; its history entry or upload is what's missing
+        console.error('[background] could not record saved file:', e);
+        recorded(null);
+        reportError(recorderError('save-failed', `Saved, but not added to the history: ${e.message}`)).catch(() => {});
       }
     }
   );
   sendResponse({ ok: true });
 }
 
-function handleSaveFailed({ tabId }, sendResponse) {
-  tabStates.delete(tabId);
-  setDefaultTitle(tabId);
-  updateIcon(tabId, 'idle');
-  console.warn('[background] save_failed for tab', tabId);
+// `reason` is 'no-audio' when nothing was captured, otherwise 'save-failed'
+// with `error` saying why the file couldn't be put together.
+function handleSaveFailed({ tabId, sessionId, reason = 'save-failed', error }, sendResponse) {
+  const st = tabStates.get(tabId);
+  // A failed earlier part of a split recording leaves the running part alone
+  if (st && (!sessionId || st.sessionId === sessionId)) {
+    tabStates.delete(tabId);
+    updateMixIcons(st, 'idle');
+    endAutoRecording(tabId);
+    emitExternal({ event: 'state', tabId, state: 'idle' });
+  }
+  const failedId = sessionId || st?.sessionId;
+  console.warn('[background] save_failed for tab', tabId, reason);
+  if (reason === 'no-audio') {
+    if (failedId) deleteSession(failedId).catch(() => {});
+    reportError(recorderError('no-audio', 'The tab played no audio while it was recorded')).catch(() => {});
+  } else {
+    // The chunks stay in the session, to be saved again or from crash recovery
+    reportError(recorderError('save-failed', error), failedId ? { action: 'recover', sessionId: failedId } : null)
+      .then(refreshRecoveryBadge).catch(() => {});
+  }
   sendResponse({ ok: true });
 }
 
+// A file exported from the editor (editor.html). It lists under the recording
+// it was cut from; the editor page keeps its blob URL alive while it's open.
+async function handleSaveEdit({ url, sessionId, sourceId, filename, format, mimeType, duration, markers = [], tags = null }, sendResponse) {
+  const { history = [] } = await chrome.storage.local.get({ history: [] });
+  const source = history.find(h => h.sessionId === sourceId) || {};
+  filename = await resolveFilename(filename, duration);
+  const downloadId = await chrome.downloads.download({ url, filename, saveAs: false });
+  await appendHistoryEntry({
+    filename, domain: source.domain || '', tabTitle: source.tabTitle || '', duration, format, mimeType,
+    timestamp: Date.now(), downloadId, sessionId,
+    recordingId: source.recordingId,
+    editedFrom: sourceId,
+    ...(markers.length && { markers }),
+    ...(tags && { tags }),
+  });
+  sendResponse({ ok: true, downloadId, filename });
+}
+
 function handleGetState({ tabId }, sendResponse) {
-  const st = tabStates.get(tabId);
+  const st = tabStates.get(hostTabOf(tabId));
   if (!st || st.state === 'stopping') { sendResponse(null); return; }
-  sendResponse({ state: st.state, elapsed: getElapsed(st), size: st.currentSize || 0 });
+  sendResponse({
+    state: st.state,
+    elapsed: getElapsed(st),
+    size: st.currentSize || 0,
+    part: st.part,
+    micError: st.micError,
+    tabs: st.mixTabs,
+    markers: st.markers,
+    tags: st.tags,
+  });
+}
+
+// Every running recording, for callers that don't know the tab
+function handleListRecordings(message, sendResponse) {
+  sendResponse([...tabStates]
+    .filter(([, st]) => st.state !== 'stopping')
+    .map(([tabId, st]) => ({
+      tabId,
+      state: st.state,
+      elapsed: getElapsed(st),
+      tabTitle: st.tabTitle,
+      url: st.url,
+      tabs: st.mixTabs.map(t => t.tabId),
+    })));
 }
 
-function handleSize({ tabId, bytes }, sendResponse) {
+function handleSize({ tabId, sessionId, bytes }, sendResponse) {
   const st = tabStates.get(tabId);
-  if (st) st.currentSize = bytes;
+  if (st && st.sessionId === sessionId) {
+    st.currentSize = bytes;
+    if (shouldRollover(st)) {
+      rolloverPart(tabId, st).catch(e => console.error('[background] split failed:', e));
+    }
+  }
   sendResponse({ ok: true });
 }
 
-async function handleStartRecording(message, sendResponse) {
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!tab) { sendResponse({ ok: false, error: 'No active tab' }); return; }
-  await startRecording(tab);
-  sendResponse({ ok: true });
+// `tabs` ([{ tabId, gain }], optional) starts a mix: the active tab plus the
+// other tabs listed, each at its own level. `tabId` or `url` records that tab,
+// or a new one opened on the URL, instead of the active tab. An `external`
+// start the user hasn't clicked for waits for the popup to open on the tab.
+// Tabs that couldn't join the mix come back as failedTabs: [{ tabId, reason, error }].
+async function handleStartRecording({ tabs = [], tabId, url, external = false }, sendResponse) {
+  const [tab] = tabId != null || url
+    ? [await openTabToRecord({ tabId, url })]
+    : await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) { sendResponse({ ok: false, error: 'No tab to record' }); return; }
+  if (tabStates.has(hostTabOf(tab.id))) throw recorderError('tab-captured', 'This tab is already being recorded');
+  const own = tabs.find(t => t.tabId === tab.id);
+  try {
+    await startRecording(tab, { gain: own?.gain ?? 1 });
+  } catch (e) {
+    if (external && e.reason === 'needs-click') await holdStart(tab, { source: 'external' });
+    throw e;
+  }
+  const failedTabs = [];
+  if (tabStates.has(tab.id)) {
+    for (const { tabId, gain } of tabs) {
+      if (tabId === tab.id) continue;
+      await addMixTab(tab.id, tabId, gain).catch(e => {
+        console.warn('[background] could not add tab to mix:', tabId, e);
+        failedTabs.push({ tabId, reason: e.reason, error: e.message });
+      });
+    }
+  }
+  sendResponse({ ok: true, tabId: tab.id, ...(failedTabs.length && { failedTabs }) });
 }
 
 function handlePauseRecording({ tabId }, sendResponse) {
+  tabId = hostTabOf(tabId);
   const st = tabStates.get(tabId);
   if (!st || st.state !== 'recording') { sendResponse({ ok: false }); return; }
   st.state = 'paused';
+  st.autoPaused = false;
   st.pauseAt = Date.now();
-  updateIcon(tabId, 'paused');
+  updateMixIcons(st, 'paused');
+  emitExternal({ event: 'state', tabId, state: 'paused' });
   chrome.runtime.sendMessage({ target: 'offscreen', action: 'pause', tabId });
+  persistStates();
   sendResponse({ ok: true });
 }
 
 function handleResumeRecording({ tabId }, sendResponse) {
+  tabId = hostTabOf(tabId);
   const st = tabStates.get(tabId);
   if (!st || st.state !== 'paused') { sendResponse({ ok: false }); return; }
+  st.autoPaused = false;
   st.pausedMs += Date.now() - st.pauseAt;
   st.pauseAt = null;
   st.state = 'recording';
-  updateIcon(tabId, 'recording');
+  updateMixIcons(st, 'recording');
+  emitExternal({ event: 'state', tabId, state: 'recording' });
   chrome.runtime.sendMessage({ target: 'offscreen', action: 'resume', tabId });
+  persistStates();
   sendResponse({ ok: true });
 }
 
-function handleStopRecording({ tabId }, sendResponse) {
+// `tags` — title/artist/comment edited in the popup on stop, if it asked, or
+// given by an API caller; see editedTags()
+function handleStopRecording({ tabId, tags = null }, sendResponse) {
+  tabId = hostTabOf(tabId);
+  tags = editedTags(tags);
   const st = tabStates.get(tabId);
   if (st) {
     st.finalElapsed = getElapsed(st);
     st.state = 'stopping';
+    if (tags) st.tags = { ...st.tags, ...tags };
+    closePart(st, st.finalElapsed);
+    emitExternal({ event: 'state', tabId, state: 'stopping' });
+    persistStates();
   }
   chrome.runtime.sendMessage(
-    { target: 'offscreen', action: 'stop', tabId },
+    { target: 'offscreen', action: 'stop', tabId, tags },
     () => void chrome.runtime.lastError
   );
   sendResponse({ ok: true });
 }
 
-// ─── Dispatch ─────────────────────────────────────────────────────────────────
+function handleAddMarker({ tabId, label = '' }, sendResponse) {
+  const st = tabStates.get(hostTabOf(tabId));
+  if (!st || st.state === 'stopping') { sendResponse({ ok: false }); return; }
+  const marker = { time: getElapsed(st), label: label.trim() || `Marker ${st.markers.length + 1}` };
+  st.markers.push(marker);
+  // Kept on the session too, so a recovered recording still has them
+  updateSession(st.sessionId, { markers: partMarkers(st, st.partStartElapsed) }).catch(() => {});
+  persistStates();
+  sendResponse({ ok: true, marker });
+}
 
-const HANDLERS = {
-  levels:          handleLevels,
-  save:            handleSave,
-  save_failed:     handleSaveFailed,
-  size:            handleSize,
-  getState:        handleGetState,
-  startRecording:  handleStartRecording,
-  pauseRecording:  handlePauseRecording,
-  resumeRecording: handleResumeRecording,
-  stopRecording:   handleStopRecording,
-};
+// ─── Silence detection ────────────────────────────────────────────────────────
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.target !== 'background') return;
-  const handler = HANDLERS[message.action];
-  if (!handler) return;
-  const result = handler(message, sendResponse);
-  if (result && typeof result.then === 'function') {
-    result.catch(e => {
-      console.error(`[background] handler error (${message.action}):`, e);
-      sendResponse({ ok: false, error: e.message });
-    });
-  }
-  return true; // keep channel open for async handlers
-});
+const SILENCE_DEFAULTS = {
+  silenceThresholdDb: -50,
+  silenceAutoPause: false,
+  silencePauseSeconds: 5,
+  silenceAutoStop: false,
+  silenceStopMinutes: 10,
+  silenceTrim: false,
+};
 
-// ─── Tab closed → stop recording ─────────────────────────────────────────────
+// Detector config for the offscreen start message, or null when every option is off.
+function getSilenceConfig(settings) {
+  const config = {
+    thresholdDb:  Number(settings.silenceThresholdDb),
+    pauseAfterMs: settings.silenceAutoPause ? settings.silencePauseSeconds * 1000 : 0,
+    stopAfterMs:  settings.silenceAutoStop ? settings.silenceStopMinutes * 60 * 1000 : 0,
+    trim:         Boolean(settings.silenceTrim),
+  };
+  return config.pauseAfterMs || config.stopAfterMs || config.trim ? config : null;
+}
 
-chrome.tabs.onRemoved.addListener((tabId) => {
+// Events from the offscreen detector, acted on through the regular
+// pause/resume/stop handlers. Only a pause made here is undone by sound —
+// a recording the user paused stays paused.
+function handleSilence({ tabId, event }, sendResponse) {
   const st = tabStates.get(tabId);
+  const noop = () => {};
   if (st) {
-    st.finalElapsed = getElapsed(st);
-    st.state = 'stopping';
-    chrome.runtime.sendMessage(
-      { target: 'offscreen', action: 'stop', tabId },
-      () => void chrome.runtime.lastError
-    );
+    if (event === 'silent' && st.state === 'recording') {
+      handlePauseRecording({ tabId }, noop);
+      st.autoPaused = true;
+    } else if (event === 'sound' && st.autoPaused && st.state === 'paused') {
+      handleResumeRecording({ tabId }, noop);
+    } else if (event === 'timeout' && st.state !== 'stopping') {
+      handleStopRecording({ tabId }, noop);
+    }
+  }
+  sendResponse({ ok: true });
+}
+
+// ─── Microphone ───────────────────────────────────────────────────────────────
+
+const MIC_DEFAULTS = {
+  micEnabled: false,
+  micDeviceId: '',
+  micMode: 'mix',     // 'mix' | 'channels' | 'files'
+  tabGain: 1,
+  micGain: 1,
+};
+
+// Microphone config for the offscreen start message, or null when it's off.
+function getMicConfig(settings) {
+  if (!settings.micEnabled) return null;
+  return {
+    deviceId: settings.micDeviceId,
+    mode:     settings.micMode,
+    tabGain:  Number(settings.tabGain),
+    micGain:  Number(settings.micGain),
+  };
+}
+
+// In 'files' mode the microphone gets a chunk-store session and filename of
+// its own, alongside each part of the tab recording.
+async function openMicFile(tabId, st, part) {
+  const filename = await makeFilename(st, FORMATS[st.format].ext, part, '-mic');
+  const sessionId = crypto.randomUUID();
+  await createSession({
+    id: sessionId, recordingId: st.recordingId, part, track: 'mic', tabId, filename,
+    format: st.format, tabTitle: st.tabTitle, domain: st.domain, startTime: Date.now(), tags: { ...st.tags, part },
+  }).catch(e => console.warn('[background] crash recovery unavailable for microphone file:', e));
+  return { sessionId, filename };
+}
+
+// ─── Processing chain ─────────────────────────────────────────────────────────
+
+const PROCESSING_DEFAULTS = {
+  inputGainDb: 0,
+  eqLow: 0,
+  eqMid: 0,
+  eqHigh: 0,
+  compressor: false,
+  normalize: false,
+  targetLufs: -16,
+};
+
+// Processing config for the offscreen start message, or null when it would change nothing.
+function getProcessingConfig(settings) {
+  const eq = { low: Number(settings.eqLow), mid: Number(settings.eqMid), high: Number(settings.eqHigh) };
+  const config = {
+    gainDb:        Number(settings.inputGainDb) || 0,
+    eq:            eq.low || eq.mid || eq.high ? eq : null,
+    compressor:    Boolean(settings.compressor),
+    normalizeLufs: settings.normalize ? Number(settings.targetLufs) : null,
+  };
+  return config.gainDb || config.eq || config.compressor || config.normalizeLufs !== null ? config : null;
+}
+
+// ─── Multi-tab mix ───────────────────────────────────────────────────────────
+
+// Captures another tab into a running recording. Capture goes through the same
+// tabCapture call as the first tab, so it fails the same way: on pages Chrome
+// won't capture (chrome://, the Web Store), and with 'needs-click' on a tab the
+// user hasn't clicked the extension on.
+async function addMixTab(hostId, tabId, gain = 1) {
+  const st = tabStates.get(hostId);
+  if (!st || st.state === 'stopping') throw new Error('Not recording');
+  if (tabStates.has(hostTabOf(tabId))) throw recorderError('tab-captured', 'This tab is already being recorded');
+  const tab = await chrome.tabs.get(tabId);
+  let streamId;
+  try {
+    streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+  } catch (e) {
+    throw captureError(e);
+  }
+  const res = await chrome.runtime.sendMessage({
+    target: 'offscreen', action: 'addTab', tabId: hostId, mixTabId: tabId, streamId, gain,
+  });
+  if (res?.ok === false) throw new Error(res.error);
+  st.mixTabs.push({ tabId, title: tab.title, gain });
+  updateIcon(tabId, st.state);
+  persistStates();
+}
+
+// Takes a tab out of the mix; the recording goes on with the others. The tab
+// the recording is keyed by only leaves by closing — its id is never reused, so
+// the state can stay under it, reachable from the remaining tabs.
+function removeMixTab(hostId, st, tabId) {
+  st.mixTabs = st.mixTabs.filter(t => t.tabId !== tabId);
+  persistStates();
+  updateIcon(tabId, 'idle');
+  setDefaultTitle(tabId);
+  chrome.runtime.sendMessage(
+    { target: 'offscreen', action: 'removeTab', tabId: hostId, mixTabId: tabId },
+    () => void chrome.runtime.lastError
+  );
+}
+
+async function handleAddMixTab({ tabId, mixTabId, gain }, sendResponse) {
+  try {
+    await addMixTab(hostTabOf(tabId), mixTabId, gain);
+    sendResponse({ ok: true });
+  } catch (e) {
+    console.warn('[background] could not add tab to mix:', e);
+    sendResponse({ ok: false, error: e.message, reason: e.reason, title: ERROR_REASONS[e.reason]?.title });
+  }
+}
+
+function handleRemoveMixTab({ tabId, mixTabId }, sendResponse) {
+  const hostId = hostTabOf(tabId);
+  const st = tabStates.get(hostId);
+  if (!st || !st.mixTabs.some(t => t.tabId === mixTabId)) { sendResponse({ ok: false }); return; }
+  if (mixTabId === hostId && st.mixTabs.length > 1) {
+    sendResponse({ ok: false, error: 'The tab the recording started from stays until it stops' });
+    return;
+  }
+  // The last tab leaving ends the recording
+  if (st.mixTabs.length === 1) {
+    handleStopRecording({ tabId: hostId }, sendResponse);
+    return;
   }
+  removeMixTab(hostId, st, mixTabId);
+  sendResponse({ ok: true });
+}
+
+function handleSetMixGain({ tabId, mixTabId, gain }, sendResponse) {
+  const hostId = hostTabOf(tabId);
+  const mixTab = tabStates.get(hostId)?.mixTabs.find(t => t.tabId === mixTabId);
+  if (!mixTab) { sendResponse({ ok: false }); return; }
+  mixTab.gain = Number(gain);
+  chrome.runtime.sendMessage(
+    { target: 'offscreen', action: 'tabGain', tabId: hostId, mixTabId, gain: mixTab.gain },
+    () => void chrome.runtime.lastError
+  );
+  sendResponse({ ok: true });
+}
+
+// ─── Markers and chapters ────────────────────────────────────────────────────
+
+// Chapter sidecar written next to the audio file: 'vtt' | 'cue' | 'json' | 'none'
+const CHAPTER_FORMATS = {
+  vtt:  { ext: 'vtt',  mimeType: 'text/vtt',         build: chaptersVtt },
+  cue:  { ext: 'cue',  mimeType: 'application/x-cue', build: chaptersCue },
+  json: { ext: 'json', mimeType: 'application/json', build: chaptersJson },
+};
+
+// Markers falling inside [start, end), with times made relative to start —
+// each part of a split recording gets the markers dropped while it was written.
+function partMarkers(st, start, end = Infinity) {
+  return st.markers
+    .filter(m => m.time >= start && m.time < end)
+    .map(m => ({ time: m.time - start, label: m.label }));
+}
+
+// Moves markers onto the saved file's timeline: leading silence trimmed off the
+// file comes off each of them, and none may fall past its end.
+function trimMarkers(markers, leadingTrimMs, duration) {
+  if (!leadingTrimMs && markers.every(m => m.time <= duration)) return markers;
+  return markers.map(m => ({ ...m, time: Math.min(duration, Math.max(0, m.time - leadingTrimMs)) }));
+}
+
+async function saveChapters(filename, chapters) {
+  const { chapterFormat } = await chrome.storage.sync.get({ chapterFormat: 'vtt' });
+  const fmt = CHAPTER_FORMATS[chapterFormat];
+  if (!fmt) return;
+  // A CUE sheet names its file's type, and none of them is WebM
+  if (fmt.build === chaptersCue && chapters.format === 'webm') return;
+  const text = fmt.build({ ...chapters, filename });
+  // Service workers have no URL.createObjectURL; the file is small enough for a data URL
+  await chrome.downloads.download({
+    url: `data:${fmt.mimeType};charset=utf-8,${encodeURIComponent(text)}`,
+    filename: filename.replace(/\.[^./]+$/, '') + '.' + fmt.ext,
+    saveAs: false,
+  });
+}
+
+// Each marker starts a chapter that runs until the next one (the last until the end)
+function chapterSpans(markers, duration) {
+  return markers.map((m, i) => ({
+    ...m,
+    end: Math.max(m.time, i + 1 < markers.length ? markers[i + 1].time : duration),
+  }));
+}
+
+function chaptersVtt({ markers, duration }) {
+  const stamp = (ms) => {
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const s = Math.floor(ms / 1000) % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(Math.floor(ms % 1000)).padStart(3, '0')}`;
+  };
+  const cues = chapterSpans(markers, duration).map((c, i) =>
+    `${i + 1}\n${stamp(c.time)} --> ${stamp(c.end)}\n${c.label.replace(/-->/g, '→')}`
+  );
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// CUE tracks cover the whole file, so audio before the first marker gets a track of its own
+function chaptersCue({ markers, format, tabTitle, filename }) {
+  const stamp = (ms) => {
+    const frames = Math.floor(ms * 75 / 1000); // CUE time is mm:ss:ff at 75 frames per second
+    const m = Math.floor(frames / 4500);
+    const s = Math.floor(frames / 75) % 60;
+    return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}:${String(frames % 75).padStart(2, '0')}`;
+  };
+  const quote = (s) => `"${String(s).replace(/"/g, "'")}"`;
+  const tracks = markers[0]?.time > 0 ? [{ time: 0, label: tabTitle || 'Start' }, ...markers] : markers;
+  const lines = [
+    `TITLE ${quote(tabTitle || 'Recording')}`,
+    `FILE ${quote(filename.replace(/^.*\//, ''))} ${format === 'mp3' ? 'MP3' : 'WAVE'}`,
+  ];
+  tracks.forEach((t, i) => {
+    lines.push(
+      `  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`,
+      `    TITLE ${quote(t.label)}`,
+      `    INDEX 01 ${stamp(t.time)}`,
+    );
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function chaptersJson({ markers, duration, tabTitle, filename }) {
+  return JSON.stringify({
+    title: tabTitle,
+    file: filename.replace(/^.*\//, ''),
+    duration,
+    chapters: chapterSpans(markers, duration).map(({ time, end, label }) => ({ start: time, end, label })),
+  }, null, 2) + '\n';
+}
+
+// ─── Metadata tags ────────────────────────────────────────────────────────────
+
+const TAG_DEFAULTS = {
+  tagArtist: '',
+  tagComment: '',
+  tagPromptOnStop: false,
+};
+
+// Tags written into every file of a recording: WebM Tags, ID3v2 for MP3,
+// LIST/INFO for WAV. Each part adds its own part number.
+function makeTags(tab, settings, startTime) {
+  return {
+    title:   tab.title || '',
+    artist:  settings.tagArtist,
+    comment: settings.tagComment,
+    url:     tab.url || '',
+    date:    localIsoString(new Date(startTime)),
+  };
+}
+
+// Tags edited on stop, from the popup or an external caller: only the fields a
+// user can edit, as strings of a sane length. Null when none are left.
+const EDITABLE_TAGS = ['title', 'artist', 'comment'];
+const TAG_MAX_LENGTH = 500;
+
+function editedTags(tags) {
+  if (!tags || typeof tags !== 'object') return null;
+  const edited = Object.fromEntries(EDITABLE_TAGS
+    .filter(key => typeof tags[key] === 'string')
+    .map(key => [key, tags[key].slice(0, TAG_MAX_LENGTH)]));
+  return Object.keys(edited).length ? edited : null;
+}
+
+// ISO 8601 in local time with its UTC offset, e.g. 2024-05-01T21:30:00+02:00.
+// Formats that take no offset use the first 19 or 10 characters.
+function localIsoString(date) {
+  const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+    `${offset < 0 ? '-' : '+'}${pad(offset / 60)}:${pad(offset % 60)}`;
+}
+
+// ─── Site profiles ────────────────────────────────────────────────────────────
+
+// Profile: { id, name, match, autoStart, settings }
+//   match     — a domain ("youtube.com", or "youtube" as extractDomain() gives it),
+//               which covers its subdomains, or a URL pattern with * wildcards
+//               ("https://zoom.us/wc/*")
+//   settings  — overrides for storage.sync keys: filenameMask, saveFolder, format,
+//               mp3Bitrate, silenceAutoPause, silenceAutoStop, silenceTrim
+//   autoStart — start recording when a tab loads a matching page
+// Kept in storage.sync as `profiles`, in priority order: the first match wins.
+
+async function getProfiles() {
+  const { profiles } = await chrome.storage.sync.get({ profiles: [] });
+  return profiles;
+}
+
+function profileMatches(match, url) {
+  const pattern = (match || '').trim().toLowerCase();
+  if (!pattern || !url) return false;
+  if (pattern.includes('/') || pattern.includes('*')) {
+    const re = pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    // A pattern without a scheme matches either
+    return new RegExp(`^${pattern.includes('://') ? '' : '[a-z-]+://'}${re}$`, 'i').test(url);
+  }
+  let host;
+  try { host = new URL(url).hostname.toLowerCase(); } catch { return false; }
+  const domain = pattern.replace(/^www\./, '');
+  // A bare name is the site name extractDomain() gives: "youtube" for m.youtube.com too
+  if (!domain.includes('.')) return extractDomain(url).split('.').pop() === domain;
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+async function getProfile(url) {
+  return (await getProfiles()).find(p => profileMatches(p.match, url)) || null;
+}
+
+// storage.sync settings with the matching profile's overrides on top.
+async function getSettings(defaults, url) {
+  const [settings, profile] = await Promise.all([chrome.storage.sync.get(defaults), getProfile(url)]);
+  if (!profile) return settings;
+  const overrides = Object.fromEntries(
+    Object.entries(profile.settings || {}).filter(([key, value]) => key in defaults && value !== null && value !== '')
+  );
+  return { ...settings, ...overrides };
+}
+
+// ─── Auto-record rules ────────────────────────────────────────────────────────
+
+// Rule: { id, match, stopAfterSec, cooldownMin }
+//   match        — a domain or URL pattern, as for site profiles (profileMatches)
+//   stopAfterSec — stop once the tab has been inaudible this long (30 s at least, as alarms go)
+//   cooldownMin  — after a rule's recording ends, wait this long before it may start another
+// Kept in storage.sync as `autoRules`; nothing starts unless `autoRecord` is on.
+
+const AUTO_RECORD_DEFAULTS = { autoRecord: false, autoRules: [] };
+
+// Map<tabId, { ruleId, stopAt }> — recordings a rule started; stopAt is set while
+// an AUTO_STOP alarm is waiting to stop one
+const autoRecordings = new Map();
+// Map<ruleId, timestamp> — no new recording from the rule before this
+const ruleCooldowns = new Map();
+// Both are mirrored to storage.session, so a restarted worker still stops the
+// recordings and keeps the cooldowns
+const AUTO_STOP = 'auto-stop:';
+const AUTO_STOP_MIN_SEC = 30;
+
+function persistAutoRecord() {
+  chrome.storage.session.set({ autoRecordings: [...autoRecordings], ruleCooldowns: [...ruleCooldowns] })
+    .catch(e => console.warn('[background] could not persist auto-record state:', e));
+}
+
+async function findAutoRule(url) {
+  const { autoRecord, autoRules } = await chrome.storage.sync.get(AUTO_RECORD_DEFAULTS);
+  if (!autoRecord) return null;
+  return autoRules.find(r => profileMatches(r.match, url)) || null;
+}
+
+async function autoRecordTab(tab) {
+  if (tabStates.has(hostTabOf(tab.id))) return;
+  const rule = await findAutoRule(tab.url);
+  if (!rule || (ruleCooldowns.get(rule.id) || 0) > Date.now()) return;
+  // Claimed before the await, so a second onUpdated can't start it twice
+  autoRecordings.set(tab.id, { ruleId: rule.id, stopAt: null });
+  try {
+    if (await heldStart(tab.id)) return;
+    await startRecording(tab);
+  } catch (e) {
+    if (e.reason !== 'needs-click') throw e;
+    await holdStart(tab, { source: 'rule', ruleId: rule.id });
+  } finally {
+    if (!tabStates.has(tab.id)) autoRecordings.delete(tab.id);
+    persistAutoRecord();
+  }
+}
+
+function scheduleAutoStop(tabId, rule) {
+  const auto = autoRecordings.get(tabId);
+  if (!auto || auto.stopAt) return;
+  auto.stopAt = Date.now() + Math.max(AUTO_STOP_MIN_SEC, Number(rule?.stopAfterSec) || 0) * 1000;
+  chrome.alarms.create(AUTO_STOP + tabId, { when: auto.stopAt });
+  persistAutoRecord();
+}
+
+function cancelAutoStop(tabId) {
+  const auto = autoRecordings.get(tabId);
+  if (!auto?.stopAt) return;
+  auto.stopAt = null;
+  chrome.alarms.clear(AUTO_STOP + tabId);
+  persistAutoRecord();
+}
+
+function runAutoStop(tabId) {
+  const auto = autoRecordings.get(tabId);
+  if (!auto?.stopAt) return;
+  auto.stopAt = null;
+  const st = tabStates.get(tabId);
+  if (st && st.state !== 'stopping') handleStopRecording({ tabId }, () => {});
+}
+
+// Called when any recording ends; starts the cooldown if a rule had started it.
+function endAutoRecording(tabId) {
+  const auto = autoRecordings.get(tabId);
+  if (!auto) return;
+  cancelAutoStop(tabId);
+  autoRecordings.delete(tabId);
+  persistAutoRecord();
+  chrome.storage.sync.get(AUTO_RECORD_DEFAULTS).then(({ autoRules }) => {
+    const rule = autoRules.find(r => r.id === auto.ruleId);
+    ruleCooldowns.set(auto.ruleId, Date.now() + (Number(rule?.cooldownMin) || 0) * 60 * 1000);
+    persistAutoRecord();
+  });
+}
+
+async function onAutoRecordUpdate(tabId, info, tab) {
+  if (!('audible' in info) && !info.url) return;
+  await statesRestored;
+  const auto = autoRecordings.get(tabId);
+  if (auto) {
+    const { autoRules } = await chrome.storage.sync.get(AUTO_RECORD_DEFAULTS);
+    const rule = autoRules.find(r => r.id === auto.ruleId);
+    // Navigating away from the rule's pages counts as silence there
+    if (!tab.audible || !rule || !profileMatches(rule.match, tab.url)) scheduleAutoStop(tabId, rule);
+    else cancelAutoStop(tabId);
+  } else if (tab.audible && tab.url) {
+    await autoRecordTab(tab);
+  }
+}
+
+// ─── Instant replay ───────────────────────────────────────────────────────────
+
+const REPLAY_DEFAULTS = {
+  replayMinutes: 5,
+  replayContinue: false,   // keep recording once the replay is saved
+};
+
+// Map<tabId, { minutes, format, startTime }> — tabs with a replay buffer
+// running in offscreen, keeping their last `minutes` of audio
+const replayBuffers = new Map();
+
+async function startReplayBuffer(tab) {
+  if (replayBuffers.has(tab.id)) return;
+  if (tabStates.has(hostTabOf(tab.id))) throw recorderError('tab-captured', 'This tab is already being recorded');
+  await ensureOffscreen();
+  const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tab.id })
+    .catch(e => { throw captureError(e); });
+  const settings = await getSettings({
+    format: 'webm',
+    mp3Bitrate: 192,
+    keepForEditing: false,
+    ...PROCESSING_DEFAULTS,
+    ...REPLAY_DEFAULTS,
+  }, tab.url);
+  const format = FORMATS[settings.format] ? settings.format : 'webm';
+  const minutes = Math.max(1, Number(settings.replayMinutes) || REPLAY_DEFAULTS.replayMinutes);
+  const res = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'startBuffer',
+    tabId: tab.id,
+    streamId,
+    format,
+    bitrate: settings.mp3Bitrate,
+    minutes,
+    processing: getProcessingConfig(settings),
+    keepCopy: settings.keepForEditing,
+  });
+  if (res?.ok === false) throw recorderError('start-failed', res.error);
+  replayBuffers.set(tab.id, { minutes, format, startTime: Date.now() });
+  setReplayTitle(tab.id);
+}
+
+// Offscreen may have given up a buffer's capture to a recording that then
+// failed to start; what it still runs is what's listed.
+async function syncReplayBuffers() {
+  const res = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'recordings' });
+  const running = new Map((res?.buffers || []).map(({ tabId, ...buffer }) => [tabId, buffer]));
+  for (const tabId of replayBuffers.keys()) {
+    if (!running.has(tabId)) { replayBuffers.delete(tabId); setDefaultTitle(tabId); }
+  }
+  running.forEach((buffer, tabId) => replayBuffers.set(tabId, buffer));
+}
+
+function stopReplayBuffer(tabId) {
+  if (!replayBuffers.delete(tabId)) return;
+  setDefaultTitle(tabId);
+  chrome.runtime.sendMessage(
+    { target: 'offscreen', action: 'stopBuffer', tabId },
+    () => void chrome.runtime.lastError
+  );
+}
+
+// Saves the buffered audio as a recording of its own, through the same save
+// and history path. With `continueRecording` a normal recording starts right
+// after, on the buffer's capture, so nothing is lost in between.
+async function saveReplay(tabId, { continueRecording = false } = {}) {
+  const buffer = replayBuffers.get(tabId);
+  if (!buffer) throw new Error('No replay buffer on this tab');
+  const tab = await chrome.tabs.get(tabId);
+  const settings = await getSettings({ ...TAG_DEFAULTS }, tab.url);
+  const domain = extractDomain(tab.url);
+  const counter = await nextCounter();
+  const filename = await makeFilename({ tabTitle: tab.title, domain, url: tab.url, counter }, FORMATS[buffer.format].ext, null, '-replay');
+  const sessionId = crypto.randomUUID();
+  const startTime = Math.max(buffer.startTime, Date.now() - buffer.minutes * 60 * 1000);
+  const tags = makeTags(tab, settings, startTime);
+
+  await createSession({
+    id: sessionId, recordingId: crypto.randomUUID(), tabId, filename, format: buffer.format,
+    tabTitle: tab.title, domain, startTime, tags,
+  }).catch(e => console.warn('[background] crash recovery unavailable for replay:', e));
+  const res = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'saveReplay', tabId, sessionId, filename, tags });
+  if (res?.ok === false) {
+    deleteSession(sessionId).catch(() => {});
+    throw new Error(res.error);
+  }
+  if (continueRecording) await startRecording(tab);
+}
+
+function setReplayTitle(tabId) {
+  const { minutes } = replayBuffers.get(tabId);
+  chrome.action.setTitle({ title: `Replay buffer · last ${minutes} min`, tabId }, () => void chrome.runtime.lastError);
+}
+
+// How much is buffered so far, for the popup
+function handleGetReplay({ tabId }, sendResponse) {
+  const buffer = replayBuffers.get(tabId);
+  sendResponse(buffer ? {
+    minutes: buffer.minutes,
+    buffered: Math.min(Date.now() - buffer.startTime, buffer.minutes * 60 * 1000),
+  } : null);
+}
+
+async function handleStartReplay({ tabId }, sendResponse) {
+  const tab = await chrome.tabs.get(tabId);
+  await startReplayBuffer(tab);
+  sendResponse({ ok: true });
+}
+
+function handleStopReplay({ tabId }, sendResponse) {
+  stopReplayBuffer(tabId);
+  sendResponse({ ok: true });
+}
+
+async function handleSaveReplay({ tabId, continueRecording }, sendResponse) {
+  if (continueRecording === undefined) {
+    ({ replayContinue: continueRecording } = await chrome.storage.sync.get({ replayContinue: REPLAY_DEFAULTS.replayContinue }));
+  }
+  await saveReplay(tabId, { continueRecording });
+  sendResponse({ ok: true });
+}
+
+// ─── File splitting ───────────────────────────────────────────────────────────
+
+// Returns { maxMs, maxBytes } for the configured split mode, or null when off.
+function getSplitLimits({ splitMode, splitMinutes, splitMegabytes }) {
+  if (splitMode === 'duration' && splitMinutes > 0) return { maxMs: splitMinutes * 60 * 1000, maxBytes: 0 };
+  if (splitMode === 'size' && splitMegabytes > 0) return { maxMs: 0, maxBytes: splitMegabytes * 1024 * 1024 };
+  return null;
+}
+
+function shouldRollover(st) {
+  if (!st.split || st.state !== 'recording' || st.rolling) return false;
+  const { maxMs, maxBytes } = st.split;
+  if (maxMs && getElapsed(st) - st.partStartElapsed >= maxMs) return true;
+  return Boolean(maxBytes && (st.currentSize || 0) >= maxBytes);
+}
+
+// Records the part's duration (pauses excluded) on its session so the
+// history entry is right even if the save arrives after the tab state moved on.
+function closePart(st, elapsed) {
+  const duration = elapsed - st.partStartElapsed;
+  const markers = partMarkers(st, st.partStartElapsed, elapsed);
+  updateSession(st.sessionId, { duration, markers }).catch(() => {});
+  if (st.micSessionId) updateSession(st.micSessionId, { duration, markers }).catch(() => {});
+}
+
+async function rolloverPart(tabId, st) {
+  st.rolling = true;
+  const previous = {
+    sessionId: st.sessionId,
+    micSessionId: st.micSessionId,
+    filename: st.filename,
+    part: st.part,
+    partStartElapsed: st.partStartElapsed,
+    currentSize: st.currentSize,
+  };
+  const elapsed = getElapsed(st);
+  const part = st.part + 1;
+  const sessionId = crypto.randomUUID();
+  let mic = null;
+  // A stop can come in during any await; the part it stopped is then the last
+  const stopped = () => st.state === 'stopping' || tabStates.get(tabId) !== st;
+
+  try {
+    const filename = await makeFilename(st, FORMATS[st.format].ext, part);
+    if (stopped()) return;
+    await createSession({
+      id: sessionId, recordingId: st.recordingId, part, tabId, filename,
+      format: st.format, tabTitle: st.tabTitle, domain: st.domain, startTime: Date.now(), tags: { ...st.tags, part },
+    }).catch(e => console.warn('[background] crash recovery unavailable for next part:', e));
+    if (st.micSessionId) mic = await openMicFile(tabId, st, part);
+    if (stopped()) {
+      deleteSession(sessionId).catch(() => {});
+      if (mic) deleteSession(mic.sessionId).catch(() => {});
+      return;
+    }
+
+    // Switch before offscreen does, so the previous part's save is seen as an earlier part
+    Object.assign(st, { sessionId, micSessionId: mic?.sessionId ?? null, filename, part, partStartElapsed: elapsed, currentSize: 0 });
+    const res = await chrome.runtime.sendMessage({
+      target: 'offscreen', action: 'split', tabId, sessionId, filename, mic, tags: { ...st.tags, part },
+    });
+    if (res?.ok === false) throw new Error(res.error);
+    closePart({ ...st, ...previous }, elapsed);
+  } catch (e) {
+    if (mic) deleteSession(mic.sessionId).catch(() => {});
+    deleteSession(sessionId).catch(() => {});
+    const wasSwitched = st.sessionId === sessionId;
+    Object.assign(st, previous);
+    // A stop during the split closed the new part; the previous one is the last
+    if (wasSwitched && stopped()) {
+      closePart(st, st.finalElapsed);
+      return;
+    }
+    throw e;
+  } finally {
+    st.rolling = false;
+  }
+}
+
+// ─── Download completion ──────────────────────────────────────────────────────
+
+function releaseSaveUrl(url) {
+  chrome.runtime.sendMessage(
+    { target: 'offscreen', action: 'release', url },
+    () => void chrome.runtime.lastError
+  );
+}
+
+function persistPending() {
+  chrome.storage.session.set({ pendingDownloads: [...pendingDownloads], pendingUploads: [...pendingUploads] })
+    .catch(e => console.warn('[background] could not persist pending downloads:', e));
+}
+
+// Once the file is on disk the blob URL and persisted chunks can go; an
+// interrupted download keeps its chunks so the recording can be recovered.
+chrome.downloads.onChanged.addListener(async ({ id, state }) => {
+  if (!state || state.current === 'in_progress') return;
+  await statesRestored;
+  const pending = pendingDownloads.get(id);
+  if (!pending) return;
+  pendingDownloads.delete(id);
+  persistPending();
+  releaseIfUnused(pending.url);
+  if (!pending.sessionId) return;
+  if (state.current === 'complete') {
+    deleteSession(pending.sessionId).then(refreshRecoveryBadge, () => {});
+    notifySaved(id).catch(() => {});
+    emitSaved(id, pending).catch(() => {});
+  } else {
+    savedEntries.delete(id);
+    refreshRecoveryBadge().catch(() => {});
+    chrome.downloads.search({ id })
+      .then(([item]) => reportError(downloadError(item?.error), { action: 'recover', sessionId: pending.sessionId }))
+      .catch(() => {});
+  }
+});
+
+// ─── Uploads ──────────────────────────────────────────────────────────────────
+
+// Upload settings are kept in storage.local rather than sync: the destination
+// holds credentials, which shouldn't follow the user to every browser.
+// uploadDestination is described in uploader.js.
+const UPLOAD_DEFAULTS = {
+  uploadEnabled: false,
+  uploadSkipDownload: false,
+  uploadDestination: null,
+};
+
+// { destination, skipDownload }, or null when uploads are off
+async function getUploadConfig() {
+  const { uploadEnabled, uploadSkipDownload, uploadDestination } = await chrome.storage.local.get(UPLOAD_DEFAULTS);
+  if (!uploadEnabled || !uploadDestination?.type) return null;
+  return { destination: uploadDestination, skipDownload: uploadSkipDownload };
+}
+
+// Where a history entry says its file went: the server, and the bucket for S3
+function destinationLabel(destination) {
+  try {
+    if (destination.type !== 's3') return new URL(destination.url).host;
+    if (destination.auth === 'presigned') return new URL(destination.presignUrl).host;
+    return `${destination.bucket} · ${new URL(destination.endpoint).host}`;
+  } catch {
+    return destination.type;
+  }
+}
+
+function sendUpload(entry, url, destination) {
+  chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'upload',
+    sessionId: entry.sessionId,
+    url,
+    filename: entry.filename,
+    mimeType: entry.mimeType,
+    destination,
+  }, () => void chrome.runtime.lastError);
+}
+
+// A save's blob URL goes once neither its download nor its upload reads it
+function releaseIfUnused(url) {
+  const downloading = [...pendingDownloads.values()].some(p => p.url === url);
+  const uploading = [...pendingUploads.values()].includes(url);
+  if (!downloading && !uploading) releaseSaveUrl(url);
+}
+
+// History entries carry `upload`: { destination, status, attempt?, error?,
+// retryAt?, location? } — status 'uploading' | 'retrying' | 'done' | 'failed'.
+// Progress isn't written there; it goes to the 'uploads' ports as it comes.
+function setUploadStatus(sessionId, status) {
+  return updateHistory(history => {
+    const entry = history.find(h => h.sessionId === sessionId);
+    if (!entry?.upload) return null;
+    entry.upload = { destination: entry.upload.destination, ...status };
+    return entry;
+  });
+}
+
+// Progress and outcome of an upload, from offscreen
+async function handleUploadStatus({ sessionId, url, status, progress, attempt, error, retryAt, location }, sendResponse) {
+  if (status === 'uploading') {
+    forwardUploadProgress(sessionId, Math.round(progress * 100) / 100);
+    sendResponse({ ok: true });
+    return;
+  }
+  forwardUploadProgress(sessionId, null);
+  const entry = await setUploadStatus(sessionId, {
+    status,
+    ...(attempt !== undefined && { attempt }),
+    ...(error !== undefined && { error }),
+    ...(retryAt !== undefined && { retryAt }),
+    ...(location !== undefined && { location }),
+  });
+  sendResponse({ ok: true });
+  if (status !== 'done' && status !== 'failed') return;
+
+  const local = entry?.downloadId !== undefined;
+  if (status === 'failed') {
+    reportError(recorderError('upload-failed', error), entry ? { action: 'upload', sessionId } : null).catch(() => {});
+    if (entry && !local) return; // the recording exists nowhere else
+  }
+  pendingUploads.delete(sessionId);
+  persistPending();
+  if (url) releaseIfUnused(url);
+  if (status !== 'done') return;
+  emitExternal({ event: 'uploaded', sessionId, location });
+  if (!local) {
+    // Like a finished download: the file is safe, its session can go
+    deleteSession(sessionId).then(refreshRecoveryBadge, () => {});
+    notifyUploaded(entry).catch(() => {});
+  }
+}
+
+async function notifyUploaded(entry) {
+  const { notifyOnSave } = await chrome.storage.sync.get(NOTIFY_DEFAULTS);
+  if (!notifyOnSave || !entry) return;
+  chrome.notifications.create(`uploaded:${entry.sessionId}`, {
+    type: 'basic',
+    iconUrl: ICONS.idle,
+    title: 'Recording uploaded',
+    message: `${entry.filename.replace(/^.*[/\\]/, '')} → ${entry.upload.destination}`,
+  }, () => void chrome.runtime.lastError);
+}
+
+// Uploads the entry's file again, to the destination set now. It's read from
+// the blob URL a failed upload held on to, or the copy kept for editing.
+async function handleRetryUpload({ sessionId }, sendResponse) {
+  const upload = await getUploadConfig();
+  if (!upload) throw recorderError('upload-failed', 'Uploads are turned off in settings');
+  const entry = await updateHistory(history => {
+    const entry = history.find(h => h.sessionId === sessionId);
+    if (entry) entry.upload = { destination: destinationLabel(upload.destination), status: 'uploading' };
+    return entry;
+  });
+  if (!entry) throw recorderError('upload-failed', 'Recording not found');
+  await ensureOffscreen();
+  sendUpload(entry, pendingUploads.get(sessionId), upload.destination);
+  sendResponse({ ok: true });
+}
+
+// An upload doesn't outlive the browser; its entry says so and can be retried
+function failInterruptedUploads() {
+  return updateHistory(history => history.forEach(entry => {
+    if (entry.upload?.status !== 'uploading' && entry.upload?.status !== 'retrying') return;
+    entry.upload = { destination: entry.upload.destination, status: 'failed', error: 'Interrupted when the browser closed' };
+  }));
+}
+
+// ─── Crash recovery ───────────────────────────────────────────────────────────
+
+// Sessions in chunk-store.js that nothing is recording any more — left behind
+// when the offscreen document or the browser died before the file was saved.
+async function findRecoverableSessions() {
+  await statesRestored;
+  const sessions = await listSessions();
+  if (sessions.length === 0) return [];
+
+  const live = new Set([...tabStates.values()].flatMap(st => [st.sessionId, st.micSessionId]));
+  pendingDownloads.forEach(({ sessionId }) => live.add(sessionId));
+  pendingUploads.forEach((url, sessionId) => live.add(sessionId));
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) {
+    // The offscreen document may still be recording sessions this worker lost track of
+    const res = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'sessions' }).catch(() => null);
+    res?.sessionIds?.forEach(id => live.add(id));
+  }
+
+  const orphaned = sessions.filter(s => !live.has(s.id));
+  const empty = orphaned.filter(s => !s.chunkCount);
+  await Promise.all(empty.map(s => deleteSession(s.id)));
+  return orphaned.filter(s => s.chunkCount > 0);
+}
+
+async function refreshRecoveryBadge() {
+  const sessions = await findRecoverableSessions();
+  chrome.action.setBadgeBackgroundColor({ color: '#93000A' });
+  chrome.action.setBadgeText({ text: sessions.length ? '!' : '' });
+}
+
+async function handleGetRecoverable(message, sendResponse) {
+  const sessions = await findRecoverableSessions();
+  sendResponse(sessions.map(s => ({
+    id: s.id,
+    filename: s.filename,
+    tabTitle: s.tabTitle,
+    domain: s.domain,
+    startTime: s.startTime,
+    duration: s.chunkCount * 1000,
+  })));
+}
+
+async function handleRecoverSession({ sessionId }, sendResponse) {
+  await ensureOffscreen();
+  const { keepForEditing } = await chrome.storage.sync.get({ keepForEditing: false });
+  const res = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'recover', sessionId, keepCopy: keepForEditing });
+  sendResponse(res?.ok ? { ok: true } : { ok: false, error: res?.error || 'Recovery failed' });
+}
+
+async function handleDiscardSession({ sessionId }, sendResponse) {
+  await deleteSession(sessionId);
+  await refreshRecoveryBadge();
+  sendResponse({ ok: true });
+}
+
+// ─── Scheduled recordings ─────────────────────────────────────────────────────
+
+// Schedule: { id, label, url, tabId, start, repeat, durationMin, endTime }
+//   start       — timestamp of the next occurrence
+//   repeat      — 'none' | 'daily' | 'weekdays' | 'weekly'
+//   tabId       — record this tab if it still exists, otherwise open `url`
+//   durationMin / endTime ('HH:MM') — when each occurrence stops; one of the two is set
+// Alarms: `schedule-start:<id>` for the next start, `schedule-stop:<id>:<tabId>` while recording.
+
+const SCHEDULE_START = 'schedule-start:';
+const SCHEDULE_STOP  = 'schedule-stop:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function getSchedules() {
+  const { schedules } = await chrome.storage.local.get({ schedules: [] });
+  return schedules;
+}
+
+async function putSchedules(schedules) {
+  await chrome.storage.local.set({ schedules });
+}
+
+// First occurrence of `schedule` at or after `from`, or null for a one-off that has passed.
+// Steps are local calendar days, so the start keeps its clock time across DST changes.
+function nextOccurrence(schedule, from = Date.now()) {
+  if (schedule.repeat === 'none') return schedule.start >= from ? schedule.start : null;
+
+  const days = schedule.repeat === 'weekly' ? 7 : 1;
+  const t = new Date(schedule.start);
+  const skip = () => schedule.repeat === 'weekdays' && [0, 6].includes(t.getDay());
+  // Whole steps first so a long-expired schedule doesn't loop day by day; one
+  // short, since a DST change can make a step an hour shorter than DAY_MS
+  const behind = Math.floor((from - t.getTime()) / (days * DAY_MS)) - 1;
+  if (behind > 0) t.setDate(t.getDate() + behind * days);
+  while (t.getTime() < from || skip()) t.setDate(t.getDate() + days);
+  return t.getTime();
+}
+
+function occurrenceStop(schedule, startedAt) {
+  if (schedule.endTime) {
+    const [h, m] = schedule.endTime.split(':').map(Number);
+    const end = new Date(startedAt);
+    end.setHours(h, m, 0, 0);
+    if (end.getTime() <= startedAt) end.setDate(end.getDate() + 1);
+    return end.getTime();
+  }
+  return startedAt + (schedule.durationMin || 60) * 60 * 1000;
+}
+
+async function armSchedule(schedule) {
+  await chrome.alarms.clear(SCHEDULE_START + schedule.id);
+  if (schedule.start !== null) {
+    await chrome.alarms.create(SCHEDULE_START + schedule.id, { when: schedule.start });
+  }
+}
+
+// Alarms don't reliably survive a browser restart — re-arm everything from storage
+async function syncScheduleAlarms() {
+  const schedules = (await getSchedules())
+    .map(s => ({ ...s, start: nextOccurrence(s) }))
+    .filter(s => s.start !== null);
+  await putSchedules(schedules);
+  await Promise.all(schedules.map(armSchedule));
+}
+
+async function runScheduledStart(id) {
+  const schedules = await getSchedules();
+  const schedule = schedules.find(s => s.id === id);
+  if (!schedule) return;
+
+  // Move on to the next occurrence first, so a failed start doesn't stall the schedule
+  const next = nextOccurrence(schedule, Date.now() + 60 * 1000);
+  const remaining = next === null
+    ? schedules.filter(s => s.id !== id)
+    : schedules.map(s => (s.id === id ? { ...s, start: next } : s));
+  await putSchedules(remaining);
+  if (next !== null) await armSchedule({ ...schedule, start: next });
+
+  const tab = await openTabToRecord(schedule);
+  if (!tab) {
+    console.warn('[background] scheduled recording has no tab to record:', schedule.label || schedule.url);
+    return;
+  }
+  if (tabStates.has(hostTabOf(tab.id))) return; // already recorded, on its own or in a mix
+
+  const stopAt = occurrenceStop(schedule, Date.now());
+  try {
+    await startRecording(tab);
+  } catch (e) {
+    if (e.reason === 'needs-click') await holdStart(tab, { source: 'schedule', scheduleId: id, stopAt });
+    else await reportError(e, { action: 'start', tabId: tab.id });
+    return;
+  }
+  await chrome.alarms.create(`${SCHEDULE_STOP}${id}:${tab.id}`, { when: stopAt });
+}
+
+function runScheduledStop(tabId) {
+  const st = tabStates.get(tabId);
+  if (!st || st.state === 'stopping') return;
+  handleStopRecording({ tabId }, () => {});
+}
+
+async function handleGetSchedules(message, sendResponse) {
+  sendResponse(await getSchedules());
+}
+
+async function handleSaveSchedule({ schedule }, sendResponse) {
+  const saved = { ...schedule, id: schedule.id || crypto.randomUUID() };
+  saved.start = nextOccurrence(saved);
+  if (saved.start === null) { sendResponse({ ok: false, error: 'Start time is in the past' }); return; }
+
+  const schedules = await getSchedules();
+  const i = schedules.findIndex(s => s.id === saved.id);
+  if (i >= 0) schedules[i] = saved; else schedules.push(saved);
+  schedules.sort((a, b) => a.start - b.start);
+  await putSchedules(schedules);
+  await armSchedule(saved);
+  sendResponse({ ok: true, schedule: saved });
+}
+
+async function handleCancelSchedule({ id }, sendResponse) {
+  const schedules = await getSchedules();
+  await putSchedules(schedules.filter(s => s.id !== id));
+  await chrome.alarms.clear(SCHEDULE_START + id);
+  sendResponse({ ok: true });
+}
+
+// ─── State persistence ────────────────────────────────────────────────────────
+
+// The service worker can be suspended mid-recording while offscreen keeps
+// going. tabStates is written to storage.session shortly after every message,
+// and after changes made outside one (shortcuts, alarms, closed tabs) by the
+// functions that make them; it's rebuilt when the worker starts. Listeners
+// that read it wait for statesRestored first.
+
+const PERSIST_DELAY_MS = 1000;
+let persistTimer = null;
+
+function persistStates() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    chrome.storage.session.set({ tabStates: [...tabStates] })
+      .catch(e => console.warn('[background] could not persist recording state:', e));
+  }, PERSIST_DELAY_MS);
+}
+
+// Saved state is only trusted for recordings offscreen says are still running;
+// one offscreen has but storage lost is rebuilt from its chunk-store session.
+async function restoreStates() {
+  const {
+    tabStates: saved = [], pendingDownloads: downloads = [], pendingUploads: uploads = [],
+    autoRecordings: autos = [], ruleCooldowns: cooldowns = [],
+  } = await chrome.storage.session.get(['tabStates', 'pendingDownloads', 'pendingUploads', 'autoRecordings', 'ruleCooldowns']);
+  downloads.forEach(([id, pending]) => { if (!pendingDownloads.has(id)) pendingDownloads.set(id, pending); });
+  uploads.forEach(([sessionId, url]) => { if (!pendingUploads.has(sessionId)) pendingUploads.set(sessionId, url); });
+  autos.forEach(([tabId, auto]) => { if (!autoRecordings.has(tabId)) autoRecordings.set(tabId, auto); });
+  cooldowns.forEach(([ruleId, until]) => { if (!ruleCooldowns.has(ruleId)) ruleCooldowns.set(ruleId, until); });
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  const res = contexts.length
+    ? await chrome.runtime.sendMessage({ target: 'offscreen', action: 'recordings' }).catch(() => null)
+    : null;
+  const running = res?.recordings || [];
+  const savedById = new Map(saved);
+
+  for (const rec of running) {
+    let st = savedById.get(rec.tabId);
+    if (!st) st = await stateFromSession(rec);
+    if (!st) continue;
+    if (st.state !== 'stopping') {
+      // A pause or resume may have reached offscreen after the last write
+      if (rec.paused && st.state === 'recording') Object.assign(st, { state: 'paused', pauseAt: Date.now() });
+      if (!rec.paused && st.state === 'paused') {
+        st.pausedMs += Date.now() - (st.pauseAt || Date.now());
+        Object.assign(st, { state: 'recording', pauseAt: null });
+      }
+    }
+    Object.assign(st, { sessionId: rec.sessionId, micSessionId: rec.micSessionId, rolling: false });
+    st.mixTabs = st.mixTabs.filter(t => rec.tabIds.includes(t.tabId));
+    tabStates.set(rec.tabId, st);
+    if (st.state !== 'stopping') updateMixIcons(st, st.state);
+  }
+  res?.buffers?.forEach(({ tabId, minutes, format, startTime }) => {
+    replayBuffers.set(tabId, { minutes, format, startTime });
+  });
+  await chrome.storage.session.set({ tabStates: [...tabStates] });
+}
+
+async function stateFromSession(rec) {
+  const meta = await getSession(rec.sessionId).catch(() => null);
+  if (!meta) return null;
+  const tabs = await Promise.all(rec.tabIds.map(id => chrome.tabs.get(id).catch(() => null)));
+  return {
+    state: rec.paused ? 'paused' : 'recording',
+    recordingId: meta.recordingId,
+    sessionId: rec.sessionId,
+    micSessionId: rec.micSessionId,
+    part: meta.part ?? null,
+    split: null,
+    partStartElapsed: 0,
+    filename: meta.filename,
+    format: meta.format,
+    tabTitle: meta.tabTitle,
+    domain: meta.domain,
+    url: tabs[0]?.url,
+    counter: null,
+    startTime: meta.startTime,
+    pausedMs: 0,
+    pauseAt: rec.paused ? Date.now() : null,
+    lastTitleSec: -1,
+    finalElapsed: 0,
+    micError: null,
+    mixTabs: tabs.filter(Boolean).map(t => ({ tabId: t.id, title: t.title, gain: 1 })),
+    markers: meta.markers || [],
+    tags: meta.tags || null,
+  };
+}
+
+// Handlers wait for this, so nothing acts on an empty map right after a restart
+const statesRestored = restoreStates()
+  .catch(e => console.warn('[background] could not restore recording state:', e));
+
+// ─── Dispatch ─────────────────────────────────────────────────────────────────
+
+const HANDLERS = {
+  levels:          handleLevels,
+  save:            handleSave,
+  save_failed:     handleSaveFailed,
+  saveEdit:        handleSaveEdit,
+  size:            handleSize,
+  silence:         handleSilence,
+  getState:        handleGetState,
+  listRecordings:  handleListRecordings,
+  getHistory:      handleGetHistory,
+  startRecording:  handleStartRecording,
+  pauseRecording:  handlePauseRecording,
+  resumeRecording: handleResumeRecording,
+  stopRecording:   handleStopRecording,
+  addMarker:       handleAddMarker,
+  addMixTab:       handleAddMixTab,
+  removeMixTab:    handleRemoveMixTab,
+  setMixGain:      handleSetMixGain,
+  getRecoverable:  handleGetRecoverable,
+  recoverSession:  handleRecoverSession,
+  discardSession:  handleDiscardSession,
+  getSchedules:    handleGetSchedules,
+  saveSchedule:    handleSaveSchedule,
+  cancelSchedule:  handleCancelSchedule,
+  getReplay:       handleGetReplay,
+  startReplay:     handleStartReplay,
+  stopReplay:      handleStopReplay,
+  saveReplay:      handleSaveReplay,
+  uploadStatus:    handleUploadStatus,
+  retryUpload:     handleRetryUpload,
+  getError:        handleGetError,
+  dismissError:    handleDismissError,
+  retryError:      handleRetryError,
+  updateHistoryEntry:    handleUpdateHistoryEntry,
+  removeHistoryEntries:  handleRemoveHistoryEntries,
+  setApiClient:          handleSetApiClient,
+  runPendingStart:       handleRunPendingStart,
+};
+
+function dispatch(message, sendResponse) {
+  statesRestored
+    .then(() => HANDLERS[message.action](message, sendResponse))
+    .catch(e => {
+      console.error(`[background] handler error (${message.action}):`, e);
+      sendResponse({ ok: false, error: e.message, reason: e.reason, title: ERROR_REASONS[e.reason]?.title });
+    })
+    .finally(persistStates);
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'background' || !HANDLERS[message.action]) return;
+  dispatch(message, sendResponse);
+  return true; // keep channel open for async handlers
+});
+
+// ─── External API ─────────────────────────────────────────────────────────────
+
+// Other extensions and web pages can drive recordings, once the user has
+// allowed them. Any extension may ask; web pages only from the origins in
+// manifest.json's externally_connectable (localhost, plus a web app's own
+// origin added there). Either
+//
+//   chrome.runtime.sendMessage(EXTENSION_ID, { action, ...params }, callback)
+//
+// or, to also receive events, a port:
+//
+//   const port = chrome.runtime.connect(EXTENSION_ID);
+//   port.postMessage({ id, action, ...params });   // reply: { id, response }
+//   port.onMessage.addListener(msg => ...);        // replies and events
+//
+// A port from a caller that isn't allowed gets { event: 'error', reason:
+// 'not-allowed' } and is closed; it can connect again once the user allows it.
+//
+// Actions:
+//   start         { tabId?, url? }  → { ok, tabId }
+//                 records the tab, or a new one opened on url; with neither, the active tab.
+//                 Fails with 'needs-click' until the user has clicked the extension on
+//                 the tab; the start then waits and runs when they open the popup there
+//   pause         { tabId }         → { ok }
+//   resume        { tabId }         → { ok }
+//   stop          { tabId, tags? }  → { ok }    tags: { title, artist, comment }, strings
+//                 of up to 500 characters; other fields are ignored
+//   addMarker     { tabId, label? } → { ok, marker: { time, label } }
+//   getState      { tabId }         → { state, elapsed, size, markers, ... } or null
+//   getRecordings {}                → [{ tabId, state, elapsed, tabTitle, url, tabs }]
+//   getHistory    { limit? }        → history entries, newest first
+//
+// Failures answer { ok: false, error, reason, title? }: one of ERROR_REASONS
+// (e.g. 'needs-click'), 'not-allowed' while the user hasn't approved the
+// caller, or 'unknown-action'.
+//
+// Events, on ports only:
+//   { event: 'state', tabId, state }   state: 'recording' | 'paused' | 'stopping' | 'idle'
+//   { event: 'saved', sessionId, downloadId, filename, entry }
+//                 filename: full path on disk; entry: the recording's history entry
+//   { event: 'uploaded', sessionId, location }   location: where the upload went
+//
+// Callers are known by origin (chrome-extension://<id> for extensions). The
+// first request from a new one asks the user with a notification; the popup's
+// settings list every caller, to allow or block it later.
+
+// API action → HANDLERS entry, with the parameters it may pass on
+const EXTERNAL_ACTIONS = {
+  start:         { action: 'startRecording',  params: ['tabId', 'url'] },
+  pause:         { action: 'pauseRecording',  params: ['tabId'] },
+  resume:        { action: 'resumeRecording', params: ['tabId'] },
+  stop:          { action: 'stopRecording',   params: ['tabId', 'tags'] },
+  addMarker:     { action: 'addMarker',       params: ['tabId', 'label'] },
+  getState:      { action: 'getState',        params: ['tabId'] },
+  getRecordings: { action: 'listRecordings',  params: [] },
+  getHistory:    { action: 'getHistory',      params: ['limit'] },
+};
+
+const API_CLIENT_NOTIFICATION = 'api-client:';
+
+// Ports of allowed callers, which get the events
+const externalPorts = new Set();
+
+function clientOrigin(sender) {
+  return sender.origin || `chrome-extension://${sender.id}`;
+}
+
+// apiClients (storage.local): [{ origin, status, requested }]
+//   status — 'pending' until the user answers, then 'allowed' | 'blocked'
+// Past MAX_PENDING_CLIENTS unanswered requests, new callers are turned away
+// without asking, so a page can't flood the user with prompts.
+const MAX_PENDING_CLIENTS = 5;
+
+// Read-modify-write of apiClients, serialized so callers asking together get
+// one entry and one prompt each. `fn` returns [result, changed].
+const updateApiClients = serialized(async (fn) => {
+  const { apiClients } = await chrome.storage.local.get({ apiClients: [] });
+  const [result, changed] = fn(apiClients);
+  if (changed) await chrome.storage.local.set({ apiClients });
+  return result;
+});
+
+async function isClientAllowed(sender) {
+  const origin = clientOrigin(sender);
+  const { allowed, ask } = await updateApiClients((clients) => {
+    const client = clients.find(c => c.origin === origin);
+    if (client) return [{ allowed: client.status === 'allowed' }, false];
+    if (clients.filter(c => c.status === 'pending').length >= MAX_PENDING_CLIENTS) return [{ allowed: false }, false];
+    clients.push({ origin, status: 'pending', requested: Date.now() });
+    return [{ allowed: false, ask: true }, true];
+  });
+  if (!ask) return allowed;
+  chrome.notifications.create(API_CLIENT_NOTIFICATION + origin, {
+    type: 'basic',
+    iconUrl: ICONS.idle,
+    title: 'Allow control of recordings?',
+    message: `${origin} wants to start and stop recordings and read your recording history.`,
+    buttons: [{ title: 'Allow' }, { title: 'Block' }],
+    requireInteraction: true,
+  }, () => void chrome.runtime.lastError);
+  return false;
+}
+
+// `status` null forgets the caller, which may then ask again
+function setClientStatus(origin, status) {
+  return updateApiClients((clients) => {
+    const i = clients.findIndex(c => c.origin === origin);
+    if (i < 0) return [undefined, false];
+    if (status) clients[i] = { ...clients[i], status };
+    else clients.splice(i, 1);
+    return [undefined, true];
+  });
+}
+
+// From the popup's list of callers
+async function handleSetApiClient({ origin, status }, sendResponse) {
+  await setClientStatus(origin, status);
+  sendResponse({ ok: true });
+}
+
+async function handleExternal(message, sender, sendResponse) {
+  const entry = EXTERNAL_ACTIONS[message?.action];
+  if (!entry) {
+    sendResponse({ ok: false, error: `Unknown action: ${message?.action}`, reason: 'unknown-action' });
+    return;
+  }
+  if (!(await isClientAllowed(sender))) {
+    sendResponse({ ok: false, error: 'Not allowed to control recordings', reason: 'not-allowed' });
+    return;
+  }
+  const params = Object.fromEntries(entry.params.filter(p => p in message).map(p => [p, message[p]]));
+  dispatch({ ...params, action: entry.action, external: true }, sendResponse);
+}
+
+function emitExternal(event) {
+  externalPorts.forEach(port => port.postMessage(event));
+}
+
+async function emitSaved(downloadId, { sessionId }) {
+  const recorded = savedEntries.get(downloadId);
+  savedEntries.delete(downloadId);
+  if (externalPorts.size === 0) return;
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  // A save from before the worker restarted is only in the history
+  const entry = recorded
+    ? await recorded
+    : (await chrome.storage.local.get({ history: [] })).history.find(h => h.sessionId === sessionId);
+  emitExternal({ event: 'saved', sessionId, downloadId, filename: item?.filename ?? null, entry: entry ?? null });
+}
+
+// ─── Other extension or web page → external API ──────────────────────────────
+
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  handleExternal(message, sender, sendResponse)
+    .catch(e => sendResponse({ ok: false, error: e.message }));
+  return true;
+});
+
+chrome.runtime.onConnectExternal.addListener(async (port) => {
+  port.onDisconnect.addListener(() => externalPorts.delete(port));
+  if (!(await isClientAllowed(port.sender).catch(() => false))) {
+    port.postMessage({ event: 'error', reason: 'not-allowed', error: 'Not allowed to control recordings' });
+    port.disconnect();
+    return;
+  }
+  externalPorts.add(port);
+  port.onMessage.addListener(({ id, ...message }) => {
+    const reply = (response) => {
+      try { port.postMessage({ id, response }); } catch {} // the caller may have gone
+    };
+    handleExternal(message, port.sender, reply).catch(e => reply({ ok: false, error: e.message }));
+  });
+});
+
+// Blocking or removing a caller in the popup closes its open ports
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes.apiClients) return;
+  const allowed = new Set((changes.apiClients.newValue || []).filter(c => c.status === 'allowed').map(c => c.origin));
+  externalPorts.forEach(port => {
+    if (allowed.has(clientOrigin(port.sender))) return;
+    externalPorts.delete(port);
+    port.disconnect();
+  });
+});
+
+// ─── Tab closed → stop recording ─────────────────────────────────────────────
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  dropStart(tabId).catch(() => {});
+  await statesRestored;
+  stopReplayBuffer(tabId);
+  const hostId = hostTabOf(tabId);
+  const st = tabStates.get(hostId);
+  if (st && st.mixTabs.length > 1) {
+    // One tab of a mix closing leaves the others recording
+    removeMixTab(hostId, st, tabId);
+  } else if (st) {
+    st.finalElapsed = getElapsed(st);
+    st.state = 'stopping';
+    closePart(st, st.finalElapsed);
+    emitExternal({ event: 'state', tabId: hostId, state: 'stopping' });
+    persistStates();
+    chrome.runtime.sendMessage(
+      { target: 'offscreen', action: 'stop', tabId: hostId },
+      () => void chrome.runtime.lastError
+    );
+  }
+});
+
+// ─── Tab updated → profile auto-start, auto-record ───────────────────────────
+
+// Map<tabId, url> — the page each tab was last auto-started on, so a profile
+// starts once per page rather than on every onUpdated, and not again after
+// the user stops it.
+const autoStarted = new Map();
+
+chrome.tabs.onUpdated.addListener(async (tabId, info, tab) => {
+  if (info.status !== 'complete' || !tab.url) return;
+  await statesRestored;
+  if (autoStarted.get(tabId) === tab.url || tabStates.has(hostTabOf(tabId))) return;
+  const profile = await getProfile(tab.url);
+  if (!profile?.autoStart) return;
+  autoStarted.set(tabId, tab.url);
+  startRecording(tab).catch(e => (e.reason === 'needs-click'
+    ? holdStart(tab, { source: 'profile' })
+    : reportError(e, { action: 'start', tabId })));
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => autoStarted.delete(tabId));
+
+chrome.tabs.onUpdated.addListener((tabId, info, tab) => {
+  onAutoRecordUpdate(tabId, info, tab).catch(e => reportError(e, { action: 'start', tabId }));
+});
+
+// ─── Popup connected → level meter ───────────────────────────────────────────
+
+// An open popup connects a 'levels' port and names the tab it shows; each
+// level tick of that tab's recording is passed on for the meter and waveform.
+const levelPorts = new Map();   // port → tabId
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'levels') return;
+  port.onMessage.addListener(({ tabId }) => levelPorts.set(port, tabId));
+  port.onDisconnect.addListener(() => levelPorts.delete(port));
+});
+
+function forwardLevels(hostId, levels) {
+  levelPorts.forEach((tabId, port) => {
+    if (hostTabOf(tabId) === hostId) port.postMessage(levels);
+  });
+}
+
+// ─── Popup or library connected → upload progress ────────────────────────────
+
+// Progress only lives here and on 'uploads' ports, so it doesn't rewrite the
+// whole history every tick. Each message is { sessionId, progress }, 0–1, or
+// progress null once the upload's history entry has something newer.
+const uploadPorts = new Set();
+const uploadProgress = new Map();   // sessionId → progress
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'uploads') return;
+  uploadPorts.add(port);
+  port.onDisconnect.addListener(() => uploadPorts.delete(port));
+  uploadProgress.forEach((progress, sessionId) => port.postMessage({ sessionId, progress }));
+});
+
+function forwardUploadProgress(sessionId, progress) {
+  if (progress === null && !uploadProgress.delete(sessionId)) return;
+  if (progress !== null) uploadProgress.set(sessionId, progress);
+  uploadPorts.forEach(port => port.postMessage({ sessionId, progress }));
+}
+
+// ─── Keyboard shortcuts ──────────────────────────────────────────────────────
+
+// A shortcut acts on the recording of the tab it's pressed in, otherwise on the
+// most recently started one — so pause and stop work from any tab.
+function shortcutTarget(tabId) {
+  const own = hostTabOf(tabId);
+  if (tabStates.has(own) && tabStates.get(own).state !== 'stopping') return own;
+  let latest = null;
+  for (const [hostId, st] of tabStates) {
+    if (st.state === 'stopping') continue;
+    if (latest === null || st.startTime > tabStates.get(latest).startTime) latest = hostId;
+  }
+  return latest;
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  await statesRestored;
+  if (!tab) [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const target = shortcutTarget(tab?.id);
+  const noop = () => {};
+
+  if (command === 'toggle-recording') {
+    if (target !== null) handleStopRecording({ tabId: target }, noop);
+    else if (tab) startRecording(tab).catch(e => reportError(e, { action: 'start', tabId: tab.id }));
+  } else if (command === 'toggle-pause' && target !== null) {
+    if (tabStates.get(target).state === 'paused') handleResumeRecording({ tabId: target }, noop);
+    else handlePauseRecording({ tabId: target }, noop);
+  } else if (command === 'add-marker' && target !== null) {
+    handleAddMarker({ tabId: target }, noop);
+  } else if (command === 'save-replay' && tab) {
+    // Saves the tab's replay buffer, or starts one if there isn't any
+    const { replayContinue } = await chrome.storage.sync.get({ replayContinue: REPLAY_DEFAULTS.replayContinue });
+    const action = replayBuffers.has(tab.id)
+      ? saveReplay(tab.id, { continueRecording: replayContinue })
+      : startReplayBuffer(tab);
+    action.catch(e => reportError(e));
+  }
+});
+
+// ─── Notification clicked → show file, retry, allow API caller ───────────────
+
+// A saved recording's notification opens its folder; an error's Retry button
+// runs the retry stored with it, as long as it's still the latest error; an
+// API caller's request is answered with Allow or Block.
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  chrome.notifications.clear(notificationId);
+  if (notificationId.startsWith('saved:')) {
+    chrome.downloads.show(Number(notificationId.slice('saved:'.length)));
+    return;
+  }
+  if (notificationId.startsWith(API_CLIENT_NOTIFICATION)) {
+    const origin = notificationId.slice(API_CLIENT_NOTIFICATION.length);
+    await setClientStatus(origin, buttonIndex === 0 ? 'allowed' : 'blocked');
+    return;
+  }
+  await statesRestored;
+  const { lastError = null } = await chrome.storage.session.get('lastError');
+  if (!lastError?.retry || notificationId !== `error:${lastError.time}`) return;
+  await chrome.storage.session.remove('lastError');
+  retryError(lastError.retry).catch(e => reportError(e, lastError.retry));
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  chrome.notifications.clear(notificationId);
+  if (notificationId.startsWith('saved:')) chrome.downloads.show(Number(notificationId.slice('saved:'.length)));
+  // Brings the tab waiting for a click to the front; the click itself is the user's
+  if (notificationId.startsWith(PENDING_START_NOTIFICATION)) {
+    chrome.tabs.update(Number(notificationId.slice(PENDING_START_NOTIFICATION.length)), { active: true })
+      .then(tab => chrome.windows.update(tab.windowId, { focused: true }))
+      .catch(() => {});
+  }
+});
+
+// ─── Alarms → scheduled start / stop ─────────────────────────────────────────
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await statesRestored;
+  if (alarm.name.startsWith(SCHEDULE_START)) {
+    runScheduledStart(alarm.name.slice(SCHEDULE_START.length))
+      .catch(e => console.error('[background] scheduled start failed:', e));
+  } else if (alarm.name.startsWith(SCHEDULE_STOP)) {
+    const tabId = Number(alarm.name.split(':').pop());
+    runScheduledStop(tabId);
+  } else if (alarm.name.startsWith(AUTO_STOP)) {
+    runAutoStop(Number(alarm.name.slice(AUTO_STOP.length)));
+  }
+});
+
+// ─── Browser startup → crashed sessions, uploads, schedules ─────────────────
+
+chrome.runtime.onStartup.addListener(() => {
+  refreshRecoveryBadge().catch(e => console.warn('[background] recovery scan failed:', e));
+  failInterruptedUploads().catch(e => console.warn('[background] could not update uploads:', e));
+  syncScheduleAlarms().catch(e => console.warn('[background] schedule sync failed:', e));
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncScheduleAlarms().catch(e => console.warn('[background] schedule sync failed:', e));
 });
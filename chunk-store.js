@@ -0,0 +1,141 @@
+// IndexedDB store for in-progress recordings. Shared by offscreen.js (writes
+// chunks as they arrive) and background.js via importScripts (finds sessions
+// left behind by a crash and cleans up after a successful save). Also keeps
+// copies of finished files for the editor, since the extension can't read
+// back what chrome.downloads wrote.
+//
+// sessions: { id, tabId, filename, format, mimeType, sampleRate, tabTitle, domain, startTime, chunkCount }
+// chunks:   { sessionId, seq, data: Blob }  — keyed by [sessionId, seq]
+// files:    { id, blob, mimeType, filename, savedAt }  — id is the history entry's sessionId
+
+const CHUNK_DB_NAME    = 'recordings';
+const CHUNK_DB_VERSION = 2;
+const MAX_KEPT_FILES   = 20;
+
+let chunkDbPromise = null;
+
+function openChunkDb() {
+  if (!chunkDbPromise) {
+    chunkDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(CHUNK_DB_NAME, CHUNK_DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (e.oldVersion < 1) {
+          db.createObjectStore('sessions', { keyPath: 'id' });
+          db.createObjectStore('chunks', { keyPath: ['sessionId', 'seq'] });
+        }
+        if (e.oldVersion < 2) {
+          db.createObjectStore('files', { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => { chunkDbPromise = null; reject(req.error); };
+    });
+  }
+  return chunkDbPromise;
+}
+
+// Runs fn(stores) inside one transaction and resolves with its result once committed.
+async function chunkTx(storeNames, mode, fn) {
+  const db = await openChunkDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(n => [n, tx.objectStore(n)]));
+    let result;
+    Promise.resolve(fn(stores)).then(r => { result = r; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+function chunkRange(sessionId) {
+  return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+
+function createSession(meta) {
+  return chunkTx(['sessions'], 'readwrite', ({ sessions }) => {
+    sessions.put({ chunkCount: 0, ...meta });
+  });
+}
+
+function updateSession(id, patch) {
+  return chunkTx(['sessions'], 'readwrite', async ({ sessions }) => {
+    const meta = await idbRequest(sessions.get(id));
+    if (meta) sessions.put({ ...meta, ...patch });
+  });
+}
+
+function getSession(id) {
+  return chunkTx(['sessions'], 'readonly', ({ sessions }) => idbRequest(sessions.get(id)));
+}
+
+function listSessions() {
+  return chunkTx(['sessions'], 'readonly', ({ sessions }) => idbRequest(sessions.getAll()));
+}
+
+function deleteSession(id) {
+  return chunkTx(['sessions', 'chunks'], 'readwrite', ({ sessions, chunks }) => {
+    sessions.delete(id);
+    chunks.delete(chunkRange(id));
+  });
+}
+
+// ─── Chunks ───────────────────────────────────────────────────────────────────
+
+function appendChunk(sessionId, seq, data) {
+  return chunkTx(['sessions', 'chunks'], 'readwrite', async ({ sessions, chunks }) => {
+    chunks.put({ sessionId, seq, data });
+    const meta = await idbRequest(sessions.get(sessionId));
+    if (meta) sessions.put({ ...meta, chunkCount: seq + 1 });
+  });
+}
+
+// Resolves with [{ seq, data }] in recording order.
+function readChunks(sessionId) {
+  return chunkTx(['chunks'], 'readonly', ({ chunks }) =>
+    idbRequest(chunks.getAll(chunkRange(sessionId)))
+  );
+}
+
+// ─── Kept files ───────────────────────────────────────────────────────────────
+
+// Stores a finished file and drops the oldest beyond MAX_KEPT_FILES.
+function putFile(record) {
+  return chunkTx(['files'], 'readwrite', async ({ files }) => {
+    files.put({ savedAt: Date.now(), ...record });
+    const all = await idbRequest(files.getAll());
+    all.sort((a, b) => b.savedAt - a.savedAt)
+      .slice(MAX_KEPT_FILES)
+      .forEach((f) => files.delete(f.id));
+  });
+}
+
+// The saved name only settles once background fills in {duration}
+function renameFile(id, filename) {
+  return chunkTx(['files'], 'readwrite', async ({ files }) => {
+    const record = await idbRequest(files.get(id));
+    if (record) files.put({ ...record, filename });
+  });
+}
+
+function getFile(id) {
+  return chunkTx(['files'], 'readonly', ({ files }) => idbRequest(files.get(id)));
+}
+
+function listFileIds() {
+  return chunkTx(['files'], 'readonly', ({ files }) => idbRequest(files.getAllKeys()));
+}
+
+function deleteFile(id) {
+  return chunkTx(['files'], 'readwrite', ({ files }) => { files.delete(id); });
+}
@@ -0,0 +1,411 @@
+// Playback and trimming editor for a recording kept in chunk-store.js (see
+// putFile). Opened from the popup history or the library as editor.html?id=<sessionId>.
+// The file is decoded once; in/out points and cuts are kept as times in
+// seconds and only applied on export, which encodes what's left to WAV or MP3.
+
+// ─── State ────────────────────────────────────────────────────────────────────
+
+const fileId = new URLSearchParams(location.search).get('id');
+
+let record    = null;   // { id, blob, mimeType, filename } from getFile()
+let entry     = null;   // history entry the file belongs to, if still listed
+let buffer    = null;   // decoded AudioBuffer
+let peaks     = null;   // [min, max] per canvas column
+let inPoint   = 0;
+let outPoint  = 0;
+let cuts      = [];     // [{ start, end }] — sorted, never overlapping
+let selection = null;   // { start, end } dragged on the waveform
+let dragFrom  = null;
+
+const EXPORT_BLOCK = 1152 * 64; // whole MP3 frames, ~1.5 s at 48 kHz
+const MAX_DECODED_BYTES = 1024 ** 3; // decoded stereo float32, ~45 min at 48 kHz
+
+const audio  = document.getElementById('audio');
+const canvas = document.getElementById('waveform');
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+
+document.addEventListener('DOMContentLoaded', async () => {
+  bindControls();
+  try {
+    record = await getFile(fileId);
+    if (!record) throw new Error('This recording is no longer kept for editing.');
+    const { history = [] } = await chrome.storage.local.get({ history: [] });
+    entry = history.find(h => h.sessionId === fileId) || null;
+    renderHeader();
+
+    audio.src = URL.createObjectURL(record.blob);
+    const ctx = new AudioContext();
+    const seconds = await mediaDuration() || (entry?.duration || 0) / 1000;
+    if (seconds * ctx.sampleRate * 2 * 4 > MAX_DECODED_BYTES) {
+      ctx.close();
+      throw new Error(`This recording is too long to edit here (${formatTime(seconds)}). Download it and use an audio editor instead.`);
+    }
+    try {
+      buffer = await ctx.decodeAudioData(await record.blob.arrayBuffer());
+    } catch (e) {
+      throw new Error(`Could not decode the recording (${e.message || e.name}).`);
+    } finally {
+      ctx.close();
+    }
+  } catch (e) {
+    setStatus(e.message, 'error');
+    return;
+  }
+
+  outPoint = buffer.duration;
+  document.querySelectorAll('button').forEach(btn => { btn.disabled = false; });
+  computePeaks();
+  render();
+});
+
+// Length from the file's own metadata, before anything is decoded. 0 when the
+// file doesn't say (a WebM MediaRecorder never went back to fill in).
+function mediaDuration() {
+  return new Promise(resolve => {
+    const done = () => resolve(Number.isFinite(audio.duration) ? audio.duration : 0);
+    if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) return done();
+    audio.addEventListener('loadedmetadata', done, { once: true });
+    audio.addEventListener('error', done, { once: true });
+  });
+}
+
+function bindControls() {
+  document.getElementById('btn-play')  .addEventListener('click', togglePlay);
+  document.getElementById('btn-in')    .addEventListener('click', () => setIn(audio.currentTime));
+  document.getElementById('btn-out')   .addEventListener('click', () => setOut(audio.currentTime));
+  document.getElementById('btn-cut')   .addEventListener('click', cutSelection);
+  document.getElementById('btn-reset') .addEventListener('click', resetEdits);
+  document.getElementById('btn-export').addEventListener('click', exportEdit);
+
+  document.addEventListener('keydown', (e) => {
+    if (!buffer || e.target.tagName === 'SELECT' || e.metaKey || e.ctrlKey) return;
+    const key = e.key.toLowerCase();
+    if (key === ' ') { e.preventDefault(); togglePlay(); }
+    else if (key === 'i') setIn(audio.currentTime);
+    else if (key === 'o') setOut(audio.currentTime);
+    else if (key === 'x' || key === 'delete' || key === 'backspace') cutSelection();
+  });
+
+  // Drag selects a section to cut; a plain click moves the playhead
+  canvas.addEventListener('mousedown', (e) => {
+    if (!buffer) return;
+    dragFrom = timeAt(e.clientX);
+    selection = null;
+  });
+  window.addEventListener('mousemove', (e) => {
+    if (dragFrom === null) return;
+    const t = timeAt(e.clientX);
+    selection = { start: Math.min(dragFrom, t), end: Math.max(dragFrom, t) };
+    render();
+  });
+  window.addEventListener('mouseup', (e) => {
+    if (dragFrom === null) return;
+    const t = timeAt(e.clientX);
+    const clickSpan = 3 / canvas.clientWidth * buffer.duration;
+    if (Math.abs(t - dragFrom) < clickSpan) {
+      selection = null;
+      audio.currentTime = t;
+    }
+    dragFrom = null;
+    render();
+  });
+
+  window.addEventListener('resize', () => { if (buffer) { computePeaks(); render(); } });
+  audio.addEventListener('play',  renderPlayButton);
+  audio.addEventListener('pause', renderPlayButton);
+  audio.addEventListener('seeked', render);
+}
+
+// ─── Playback ─────────────────────────────────────────────────────────────────
+
+// Plays only what export would keep: starts at in, skips cuts, stops at out
+function togglePlay() {
+  if (!audio.paused) { audio.pause(); return; }
+  if (audio.currentTime < inPoint || audio.currentTime >= outPoint) audio.currentTime = inPoint;
+  audio.play();
+  requestAnimationFrame(tick);
+}
+
+function tick() {
+  if (audio.paused) return;
+  const t = audio.currentTime;
+  const cut = cuts.find(c => t >= c.start && t < c.end);
+  if (t >= outPoint) {
+    audio.pause();
+    audio.currentTime = outPoint;
+  } else if (cut) {
+    audio.currentTime = cut.end;
+  }
+  render();
+  requestAnimationFrame(tick);
+}
+
+// ─── Editing ──────────────────────────────────────────────────────────────────
+
+function setIn(t) {
+  inPoint = Math.min(Math.max(0, t), outPoint);
+  render();
+}
+
+function setOut(t) {
+  outPoint = Math.max(Math.min(buffer.duration, t), inPoint);
+  render();
+}
+
+// Adds the selection to the cuts, merging any it overlaps
+function cutSelection() {
+  if (!selection || selection.end - selection.start < 0.05) return;
+  const merged = [];
+  [...cuts, selection].sort((a, b) => a.start - b.start).forEach(c => {
+    const prev = merged[merged.length - 1];
+    if (prev && c.start <= prev.end) prev.end = Math.max(prev.end, c.end);
+    else merged.push({ ...c });
+  });
+  cuts = merged;
+  selection = null;
+  render();
+}
+
+function removeCut(i) {
+  cuts.splice(i, 1);
+  render();
+}
+
+function resetEdits() {
+  inPoint = 0;
+  outPoint = buffer.duration;
+  cuts = [];
+  selection = null;
+  render();
+}
+
+// Kept [start, end] ranges in seconds: in..out minus the cuts
+function keptRanges() {
+  const ranges = [];
+  let from = inPoint;
+  for (const c of cuts) {
+    if (c.end <= from || c.start >= outPoint) continue;
+    if (c.start > from) ranges.push([from, c.start]);
+    from = Math.max(from, c.end);
+  }
+  if (from < outPoint) ranges.push([from, outPoint]);
+  return ranges;
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+async function exportEdit() {
+  const ranges = keptRanges();
+  if (!ranges.length) { setStatus('Nothing left to export', 'error'); return; }
+
+  const btn = document.getElementById('btn-export');
+  const format = document.getElementById('export-format').value;
+  btn.disabled = true;
+  setStatus('Exporting…');
+  await new Promise(resolve => setTimeout(resolve)); // let the status paint before encoding blocks the page
+
+  try {
+    const blob = encodeRanges(ranges, format);
+    const sessionId = crypto.randomUUID();
+    // The history entry has the name the file was finally saved under
+    const filename = (entry?.filename || record.filename).replace(/(-edit)?\.[^./]+$/, '') + `-edit.${format}`;
+    const duration = Math.round(ranges.reduce((n, [a, b]) => n + b - a, 0) * 1000);
+    // Not revoked: chrome.downloads reads it after this call returns, and the page owns it until closed
+    const url = URL.createObjectURL(blob);
+
+    const res = await chrome.runtime.sendMessage({
+      target: 'background', action: 'saveEdit',
+      url, sessionId, sourceId: record.id, filename, format,
+      mimeType: blob.type, duration, markers: mapMarkers(ranges), tags: entry?.tags,
+    });
+    if (!res?.ok) throw new Error(res?.error || 'Download failed');
+    const savedAs = res.filename || filename;
+
+    const { keepForEditing } = await chrome.storage.sync.get({ keepForEditing: false });
+    if (keepForEditing) {
+      putFile({ id: sessionId, blob, mimeType: blob.type, filename: savedAs })
+        .catch(e => console.warn('[editor] could not keep a copy of the export:', e));
+    }
+    setStatus(`Saved ${leafName(savedAs)}`, 'done');
+  } catch (e) {
+    console.error('[editor] export failed:', e);
+    setStatus(`Export failed: ${e.message}`, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Encodes the kept ranges in blocks, so only one block of 16-bit samples
+// exists at a time next to the decoded audio.
+function encodeRanges(ranges, format) {
+  const { sampleRate } = buffer;
+  const left  = buffer.getChannelData(0);
+  const right = buffer.numberOfChannels > 1 ? buffer.getChannelData(1) : left;
+  const mp3 = format === 'mp3' ? new lamejs.Mp3Encoder(PCM_CHANNELS, sampleRate, 192) : null;
+  const chunks = [];
+
+  for (const [start, end] of ranges) {
+    const last = Math.min(left.length, Math.round(end * sampleRate));
+    for (let i = Math.round(start * sampleRate); i < last; i += EXPORT_BLOCK) {
+      const j = Math.min(i + EXPORT_BLOCK, last);
+      const l = floatTo16(left.subarray(i, j));
+      const r = floatTo16(right.subarray(i, j));
+      if (mp3) {
+        const frame = mp3.encodeBuffer(l, r);
+        if (frame.length) chunks.push(new Blob([frame]));
+      } else {
+        chunks.push(new Blob([interleave(l, r)]));
+      }
+    }
+  }
+  if (mp3) {
+    const tail = mp3.flush();
+    if (tail.length) chunks.push(new Blob([tail]));
+  }
+  return assembleFile(chunks, { mimeType: mp3 ? 'audio/mpeg' : 'audio/wav', sampleRate, tags: entry?.tags });
+}
+
+// Moves the recording's markers onto the exported timeline; markers inside
+// removed sections are dropped.
+function mapMarkers(ranges) {
+  const mapped = [];
+  (entry?.markers || []).forEach(m => {
+    const t = m.time / 1000;
+    let offset = 0;
+    for (const [a, b] of ranges) {
+      if (t >= a && t < b) {
+        mapped.push({ time: Math.round((offset + t - a) * 1000), label: m.label });
+        break;
+      }
+      offset += b - a;
+    }
+  });
+  return mapped;
+}
+
+// ─── Waveform ─────────────────────────────────────────────────────────────────
+
+function computePeaks() {
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width  = Math.round(canvas.clientWidth * dpr);
+  canvas.height = Math.round(canvas.clientHeight * dpr);
+
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const perColumn = buffer.length / canvas.width;
+  peaks = new Array(canvas.width);
+  for (let x = 0; x < canvas.width; x++) {
+    const from = Math.floor(x * perColumn);
+    const to = Math.max(from + 1, Math.floor((x + 1) * perColumn));
+    let min = 0, max = 0;
+    for (const data of channels) {
+      for (let i = from; i < to && i < data.length; i++) {
+        if (data[i] < min) min = data[i];
+        else if (data[i] > max) max = data[i];
+      }
+    }
+    peaks[x] = [min, max];
+  }
+}
+
+function draw() {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const dpr = window.devicePixelRatio || 1;
+  const xOf = (t) => t / buffer.duration * width;
+  const color = (name) => getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+  const shade = (start, end, fill) => {
+    ctx.fillStyle = fill;
+    ctx.fillRect(xOf(start), 0, xOf(end) - xOf(start), height);
+  };
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = color('--md-on-surface-variant');
+  const mid = height / 2;
+  peaks.forEach(([min, max], x) => {
+    const top = mid - max * mid;
+    ctx.fillRect(x, top, 1, Math.max(1, (max - min) * mid));
+  });
+
+  // Everything export drops is dimmed; the selection is tinted
+  shade(0, inPoint, 'rgba(20,18,24,.7)');
+  shade(outPoint, buffer.duration, 'rgba(20,18,24,.7)');
+  cuts.forEach(c => shade(c.start, c.end, 'rgba(147,0,10,.55)'));
+  if (selection) shade(selection.start, selection.end, 'rgba(239,184,200,.25)');
+
+  ctx.fillStyle = color('--md-tertiary');
+  ctx.fillRect(xOf(inPoint), 0, dpr, height);
+  ctx.fillRect(xOf(outPoint) - dpr, 0, dpr, height);
+  (entry?.markers || []).forEach(m => ctx.fillRect(xOf(m.time / 1000), 0, dpr, 8 * dpr));
+
+  ctx.fillStyle = color('--md-primary');
+  ctx.fillRect(xOf(audio.currentTime || 0), 0, dpr, height);
+}
+
+function timeAt(clientX) {
+  const rect = canvas.getBoundingClientRect();
+  return Math.min(1, Math.max(0, (clientX - rect.left) / rect.width)) * buffer.duration;
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+function render() {
+  if (!buffer) return;
+  draw();
+  document.getElementById('time-in').textContent       = formatTime(inPoint);
+  document.getElementById('time-out').textContent      = formatTime(outPoint);
+  document.getElementById('time-position').textContent = formatTime(audio.currentTime || 0);
+  document.getElementById('time-total').textContent    = formatTime(buffer.duration);
+  document.getElementById('btn-cut').disabled = !selection;
+  renderCuts();
+}
+
+function renderHeader() {
+  const name = leafName(entry?.filename || record.filename);
+  document.getElementById('title').textContent = entry?.tabTitle || name;
+  document.getElementById('meta').textContent = [name, entry?.domain].filter(Boolean).join(' · ');
+  document.title = `Edit ${name} — Tab Audio Recorder`;
+}
+
+function renderPlayButton() {
+  document.getElementById('btn-play').innerHTML = audio.paused
+    ? '&#9654; Play <kbd>Space</kbd>'
+    : '&#9646;&#9646; Pause <kbd>Space</kbd>';
+}
+
+function renderCuts() {
+  const list = document.getElementById('cut-list');
+  if (!cuts.length) {
+    list.innerHTML = '<div class="cut-empty">Drag across the waveform to select a section to cut</div>';
+    return;
+  }
+  list.innerHTML = '';
+  cuts.forEach((c, i) => {
+    const item = document.createElement('div');
+    item.className = 'cut-item';
+    item.innerHTML = `<span>${formatTime(c.start)} – ${formatTime(c.end)}</span><button class="text">Restore</button>`;
+    item.querySelector('button').addEventListener('click', () => removeCut(i));
+    list.appendChild(item);
+  });
+}
+
+function setStatus(text, kind = '') {
+  const el = document.getElementById('status');
+  el.textContent = text;
+  el.className = kind;
+  if (kind === 'error' && !buffer) document.getElementById('title').textContent = 'Recording unavailable';
+}
+
+// ─── Formatting ───────────────────────────────────────────────────────────────
+
+// Seconds → m:ss.t (h:mm:ss.t past an hour)
+function formatTime(sec) {
+  const tenths = Math.floor(sec * 10) % 10;
+  const s = Math.floor(sec) % 60;
+  const m = Math.floor(sec / 60) % 60;
+  const h = Math.floor(sec / 3600);
+  const mm = h > 0 ? String(m).padStart(2, '0') : String(m);
+  return `${h > 0 ? h + ':' : ''}${mm}:${String(s).padStart(2, '0')}.${tenths}`;
+}
+
+function leafName(path) { return path.replace(/^.*[/\\]/, ''); }
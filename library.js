@@ -0,0 +1,365 @@
+// The whole recording history (storage.local `history`, written by
+// background.js), opened from the popup. Searching and filtering happen here;
+// changes to entries go through background so they can't race a save.
+// Whether each file is still where it was saved comes from chrome.downloads.
+
+// ─── State ────────────────────────────────────────────────────────────────────
+
+let history    = [];
+let downloads  = new Map();   // downloadId → DownloadItem, for entries' files
+let kept       = new Set();   // sessionIds with a copy in chunk-store.js (editable)
+let editingId  = null;        // entry whose tags / note form is open
+let removingId = null;        // entry asking to confirm removal
+let stale      = false;       // history changed while a form was open
+const uploadProgress = new Map();   // sessionId → 0–1, for uploads sending right now
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+
+document.addEventListener('DOMContentLoaded', async () => {
+  ['search', 'filter-from', 'filter-to'].forEach(id =>
+    document.getElementById(id).addEventListener('input', render)
+  );
+  ['filter-domain', 'filter-label', 'filter-status'].forEach(id =>
+    document.getElementById(id).addEventListener('change', render)
+  );
+  document.getElementById('btn-clear-filters').addEventListener('click', clearFilters);
+  document.getElementById('btn-export-json').addEventListener('click', () => exportHistory('json'));
+  document.getElementById('btn-export-csv').addEventListener('click', () => exportHistory('csv'));
+  document.getElementById('btn-remove-missing').addEventListener('click', removeMissing);
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.history) return;
+    history = changes.history.newValue || [];
+    if (editingId || removingId) { stale = true; return; }
+    checkFiles().then(render);
+  });
+  // Progress isn't in the history; background sends it over a port
+  chrome.runtime.connect({ name: 'uploads' }).onMessage.addListener(onUploadProgress);
+  // Chrome re-checks existence on search and reports what it finds here
+  chrome.downloads.onChanged.addListener((delta) => {
+    const item = downloads.get(delta.id);
+    if (!item || !delta.exists) return;
+    item.exists = delta.exists.current;
+    if (!editingId && !removingId) render();
+  });
+
+  await load();
+});
+
+async function load() {
+  ({ history = [] } = await chrome.storage.local.get({ history: [] }));
+  kept = new Set(await listFileIds().catch(() => []));
+  await checkFiles();
+  render();
+}
+
+// One search for everything (limit 0 = no limit) rather than one per entry
+async function checkFiles() {
+  const ids = new Set(history.map(h => h.downloadId));
+  const items = await chrome.downloads.search({ limit: 0 });
+  downloads = new Map(items.filter(item => ids.has(item.id)).map(item => [item.id, item]));
+}
+
+// 'ok' | 'missing' — moved, deleted or never finished | 'untracked' — gone
+// from Chrome's download list, so there's no telling | 'remote' — uploaded
+// without a local download
+function fileStatus(entry) {
+  if (entry.downloadId === undefined) return 'remote';
+  const item = downloads.get(entry.downloadId);
+  if (!item) return 'untracked';
+  return item.exists && item.state !== 'interrupted' ? 'ok' : 'missing';
+}
+
+// ─── Filtering ────────────────────────────────────────────────────────────────
+
+function clearFilters() {
+  ['search', 'filter-domain', 'filter-label', 'filter-status', 'filter-from', 'filter-to'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  render();
+}
+
+function filteredHistory() {
+  const text   = document.getElementById('search').value.trim().toLowerCase();
+  const domain = document.getElementById('filter-domain').value;
+  const label  = document.getElementById('filter-label').value;
+  const status = document.getElementById('filter-status').value;
+  const from   = document.getElementById('filter-from').value;
+  const to     = document.getElementById('filter-to').value;
+  // Date inputs give local calendar days; `to` includes the whole day
+  const fromTs = from ? new Date(`${from}T00:00`).getTime() : -Infinity;
+  const toTs   = to   ? new Date(`${to}T00:00`).getTime() + 24 * 3600 * 1000 : Infinity;
+
+  return history.filter(entry =>
+    (!text || [entry.tabTitle, entry.filename, entry.note, ...(entry.labels || [])]
+      .some(s => s && s.toLowerCase().includes(text))) &&
+    (!domain || entry.domain === domain) &&
+    (!label || entry.labels?.includes(label)) &&
+    (!status || fileStatus(entry) === status) &&
+    entry.timestamp >= fromTs && entry.timestamp < toTs
+  );
+}
+
+// Keeps the current choice if it's still offered
+function fillSelect(id, values, allLabel) {
+  const select = document.getElementById(id);
+  const current = select.value;
+  select.innerHTML = `<option value="">${allLabel}</option>` +
+    values.map(v => `<option value="${escHtml(v)}">${escHtml(v)}</option>`).join('');
+  select.value = values.includes(current) ? current : '';
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+function render() {
+  stale = false;
+  const sorted = (values) => [...new Set(values)].filter(Boolean).sort((a, b) => a.localeCompare(b));
+  fillSelect('filter-domain', sorted(history.map(h => h.domain)), 'All sites');
+  fillSelect('filter-label', sorted(history.flatMap(h => h.labels || [])), 'All tags');
+
+  const shown = filteredHistory();
+  const missing = history.filter(h => fileStatus(h) === 'missing').length;
+  document.getElementById('meta').textContent = [
+    `${history.length} recording${history.length === 1 ? '' : 's'}`,
+    shown.length !== history.length && `${shown.length} shown`,
+    missing && `${missing} with missing files`,
+  ].filter(Boolean).join(' · ');
+  document.getElementById('btn-remove-missing').style.display = missing ? '' : 'none';
+
+  const list = document.getElementById('library-list');
+  if (!shown.length) {
+    list.innerHTML = `<div class="empty">${history.length ? 'No recordings match' : 'No recordings yet'}</div>`;
+    return;
+  }
+  list.innerHTML = '';
+  shown.forEach(entry => list.appendChild(renderItem(entry)));
+}
+
+const STATUS_TEXT = {
+  missing:   'File moved or deleted',
+  untracked: 'Not in Chrome’s downloads',
+  remote:    'No local file',
+};
+
+// An entry's `upload` (see background.js) as one line
+function onUploadProgress({ sessionId, progress }) {
+  // Cleared when the entry's status moves on; the history change redraws it
+  if (progress === null) { uploadProgress.delete(sessionId); return; }
+  uploadProgress.set(sessionId, progress);
+  const entry = history.find(h => h.sessionId === sessionId);
+  const el = document.querySelector(`[data-upload="${CSS.escape(sessionId)}"]`);
+  if (entry?.upload && el) el.textContent = uploadText(entry);
+}
+
+function uploadText({ sessionId, upload: { status, destination, attempt, retryAt, error, location } }) {
+  const progress = uploadProgress.get(sessionId);
+  if (progress !== undefined || status === 'uploading') return `Uploading to ${destination} · ${Math.round((progress || 0) * 100)} %`;
+  if (status === 'retrying') {
+    const wait = Math.max(0, Math.round((retryAt - Date.now()) / 1000));
+    return `Upload to ${destination} failed (${error}) · attempt ${attempt} in ${wait} s`;
+  }
+  if (status === 'done') return `Uploaded to ${location || destination}`;
+  return `Upload to ${destination} failed${error ? `: ${error}` : ''}`;
+}
+
+function renderItem(entry) {
+  const status = fileStatus(entry);
+  const item = document.createElement('div');
+  item.className = `item${status === 'missing' ? ' missing' : ''}`;
+  item.innerHTML = `
+    <div class="item-body">
+      <div class="item-title">${escHtml(entry.tabTitle || leafName(entry.filename))}</div>
+      <button class="item-file" title="${escHtml(entry.filename)}">${escHtml(leafName(entry.filename))}</button>
+      <div class="item-meta">${[
+        escHtml(entry.domain),
+        entry.part && `Part ${entry.part}`,
+        formatTime(entry.duration),
+        formatDate(entry.timestamp),
+        escHtml((entry.format || '').toUpperCase()),
+        STATUS_TEXT[status] && `<span class="item-status">${STATUS_TEXT[status]}</span>`,
+      ].filter(Boolean).join(' · ')}</div>
+      ${entry.labels?.length ? `<div class="labels">${entry.labels.map(l => `<span class="label">${escHtml(l)}</span>`).join('')}</div>` : ''}
+      ${entry.upload ? `<div class="item-meta${entry.upload.status === 'failed' ? ' item-status' : ''}" data-upload="${escHtml(entry.sessionId)}">${escHtml(uploadText(entry))}</div>` : ''}
+      ${entry.note ? `<div class="item-note">${escHtml(entry.note)}</div>` : ''}
+    </div>
+    <div class="item-actions">
+      ${entry.upload?.status === 'failed' ? '<button class="text" data-action="upload">Retry upload</button>' : ''}
+      ${kept.has(entry.sessionId) ? '<button class="text" data-action="edit">Edit</button>' : ''}
+      <button class="text" data-action="annotate">Tags &amp; note</button>
+      <button class="text" data-action="remove">Remove</button>
+    </div>
+  `;
+  const body = item.querySelector('.item-body');
+  if (editingId === entry.sessionId) body.appendChild(renderForm(entry));
+  if (removingId === entry.sessionId) body.appendChild(renderConfirm(entry, status));
+
+  item.querySelector('.item-file').disabled = status !== 'ok';
+  item.querySelector('.item-file').addEventListener('click', () => chrome.downloads.show(entry.downloadId));
+  item.querySelectorAll('[data-action]').forEach(btn => btn.addEventListener('click', () => {
+    const action = btn.dataset.action;
+    if (action === 'upload') {
+      btn.disabled = true;
+      sendMsg({ action: 'retryUpload', sessionId: entry.sessionId }).then((res) => {
+        if (!res?.ok) { btn.disabled = false; setStatus(`Could not upload: ${res?.error || 'no response'}`, 'error'); }
+      });
+    } else if (action === 'edit') {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`editor.html?id=${encodeURIComponent(entry.sessionId)}`) });
+    } else if (action === 'annotate') {
+      editingId = editingId === entry.sessionId ? null : entry.sessionId;
+      removingId = null;
+      render();
+    } else if (action === 'remove') {
+      removingId = removingId === entry.sessionId ? null : entry.sessionId;
+      editingId = null;
+      render();
+    }
+  }));
+  return item;
+}
+
+function renderForm(entry) {
+  const form = document.createElement('form');
+  form.className = 'item-form';
+  form.innerHTML = `
+    <input type="text" name="labels" placeholder="Tags, separated by commas" spellcheck="false" autocomplete="off">
+    <textarea name="note" placeholder="Note"></textarea>
+    <div class="item-form-actions">
+      <button type="button" class="text" data-cancel>Cancel</button>
+      <button type="submit" class="filled">Save</button>
+    </div>
+  `;
+  form.elements.labels.value = (entry.labels || []).join(', ');
+  form.elements.note.value = entry.note || '';
+  form.querySelector('[data-cancel]').addEventListener('click', closeForms);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const res = await sendMsg({
+      action: 'updateHistoryEntry',
+      sessionId: entry.sessionId,
+      labels: form.elements.labels.value.split(','),
+      note: form.elements.note.value,
+    });
+    if (!res?.ok) { setStatus(`Could not save: ${res?.error || 'no response'}`, 'error'); return; }
+    closeForms();
+  });
+  setTimeout(() => form.elements.labels.focus());
+  return form;
+}
+
+function renderConfirm(entry, status) {
+  const box = document.createElement('div');
+  box.className = 'item-confirm';
+  box.innerHTML = `
+    <div>Remove this recording from the library?</div>
+    ${status === 'ok' ? '<label><input type="checkbox" data-delete> Also delete the file from disk</label>' : ''}
+    <div class="item-form-actions">
+      <button type="button" class="text" data-cancel>Cancel</button>
+      <button type="button" class="filled" data-confirm>Remove</button>
+    </div>
+  `;
+  box.querySelector('[data-cancel]').addEventListener('click', closeForms);
+  box.querySelector('[data-confirm]').addEventListener('click', async () => {
+    const deleteFiles = Boolean(box.querySelector('[data-delete]')?.checked);
+    await removeEntries([entry.sessionId], deleteFiles);
+    closeForms();
+  });
+  return box;
+}
+
+function closeForms() {
+  editingId = null;
+  removingId = null;
+  if (stale) checkFiles().then(render); else render();
+}
+
+function setStatus(text, kind = '') {
+  const el = document.getElementById('status');
+  el.textContent = text;
+  el.className = kind;
+}
+
+// ─── Removal ──────────────────────────────────────────────────────────────────
+
+async function removeEntries(sessionIds, deleteFiles) {
+  const res = await sendMsg({ action: 'removeHistoryEntries', sessionIds, deleteFiles });
+  if (!res?.ok) {
+    setStatus(`Could not remove: ${res?.error || 'no response'}`, 'error');
+  } else if (res.failed.length) {
+    setStatus(`Removed, but could not delete ${res.failed.map(leafName).join(', ')}`, 'error');
+  } else {
+    setStatus(`Removed ${res.removed} recording${res.removed === 1 ? '' : 's'}`, 'done');
+  }
+}
+
+async function removeMissing() {
+  const ids = history.filter(h => fileStatus(h) === 'missing').map(h => h.sessionId);
+  if (!ids.length || !confirm(`Remove ${ids.length} recording${ids.length === 1 ? '' : 's'} whose file is missing?`)) return;
+  await removeEntries(ids, false);
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = [
+  ['date',     h => new Date(h.timestamp).toISOString()],
+  ['title',    h => h.tabTitle],
+  ['filename', h => h.filename],
+  ['domain',   h => h.domain],
+  ['duration', h => (h.duration / 1000).toFixed(1)],
+  ['format',   h => h.format],
+  ['part',     h => h.part],
+  ['tags',     h => (h.labels || []).join('; ')],
+  ['note',     h => h.note],
+  ['file',     h => fileStatus(h)],
+  ['upload',   h => h.upload?.status],
+  ['location', h => h.upload?.location],
+];
+
+// Text starting with = + - @ or a tab / CR would be read as a formula by
+// spreadsheets; a leading ' keeps it text. Numbers are left as they are.
+function csvField(value) {
+  let s = value === undefined || value === null ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Always the whole history, whatever the filters show
+function exportHistory(kind) {
+  const content = kind === 'json'
+    ? JSON.stringify(history, null, 2)
+    : [CSV_COLUMNS.map(([name]) => name), ...history.map(h => CSV_COLUMNS.map(([, get]) => get(h)))]
+      .map(row => row.map(csvField).join(',')).join('\r\n');
+  const blob = new Blob([content], { type: kind === 'json' ? 'application/json' : 'text/csv' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `recordings-${new Date().toISOString().slice(0, 10)}.${kind}`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+  setStatus(`Exported ${history.length} recording${history.length === 1 ? '' : 's'}`, 'done');
+}
+
+// ─── Formatting ───────────────────────────────────────────────────────────────
+
+function formatTime(ms) {
+  const total = Math.floor((ms || 0) / 1000);
+  const s = total % 60, m = Math.floor(total / 60) % 60, h = Math.floor(total / 3600);
+  if (h > 0) return `${h}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
+  return `${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
+}
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString(undefined, {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+function leafName(path) { return path.replace(/^.*[/\\]/, ''); }
+
+function escHtml(s) {
+  return String(s || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+}
+
+// ─── Utils ────────────────────────────────────────────────────────────────────
+
+function sendMsg(msg) {
+  return chrome.runtime.sendMessage({ target: 'background', ...msg }).catch(() => null);
+}
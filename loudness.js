@@ -0,0 +1,108 @@
+// Integrated loudness (ITU-R BS.1770 / EBU R128) of a recording, measured
+// while it runs, and the gain that brings it to a target level from there on.
+//
+// LoudnessMeter takes the same stereo PCM batches as PcmRecorder. Blocks of
+// 400 ms with 75 % overlap are K-weighted and gated (absolute -70 LUFS,
+// relative -10 LU). Instead of keeping every block, their energies go into
+// 0.1 LU histogram bins, so memory stays flat however long the recording is.
+
+const LUFS_FLOOR     = -70;
+const LUFS_CEIL      = 10;
+const BIN_LU         = 0.1;
+const MAX_BOOST_DB   = 20;    // past this, a near-silent tab is mostly noise being raised
+
+class LoudnessMeter {
+  constructor(sampleRate) {
+    this._filters = [0, 1].map(() => kWeighting(sampleRate));
+    this._hop     = Math.round(sampleRate / 10);   // 100 ms
+    this._steps   = [];                           // mean square of the last 4 hops
+    this._sum     = 0;
+    this._count   = 0;
+    const bins    = Math.ceil((LUFS_CEIL - LUFS_FLOOR) / BIN_LU);
+    this._energy  = new Float64Array(bins);
+    this._blocks  = new Uint32Array(bins);
+  }
+
+  push([left, right]) {
+    for (let i = 0; i < left.length; i++) {
+      const l = left[i], r = right[i];
+      const kl = this._filters[0](l);
+      const kr = this._filters[1](r);
+      this._sum += kl * kl + kr * kr;
+      if (++this._count === this._hop) this._endHop();
+    }
+  }
+
+  _endHop() {
+    this._steps.push(this._sum / this._count);
+    this._sum = 0;
+    this._count = 0;
+    if (this._steps.length < 4) return;
+    if (this._steps.length > 4) this._steps.shift();
+    const energy = (this._steps[0] + this._steps[1] + this._steps[2] + this._steps[3]) / 4;
+    const lufs = -0.691 + 10 * Math.log10(energy);
+    if (!(lufs > LUFS_FLOOR)) return;   // absolute gate; also drops -Infinity
+    const bin = Math.min(this._blocks.length - 1, Math.floor((lufs - LUFS_FLOOR) / BIN_LU));
+    this._energy[bin] += energy;
+    this._blocks[bin]++;
+  }
+
+  // Integrated loudness in LUFS, or null when nothing passed the gates.
+  integrated() {
+    const gatedMean = (fromBin) => {
+      let energy = 0, blocks = 0;
+      for (let b = Math.max(0, fromBin); b < this._blocks.length; b++) {
+        energy += this._energy[b];
+        blocks += this._blocks[b];
+      }
+      return blocks ? energy / blocks : 0;
+    };
+    const ungated = gatedMean(0);
+    if (!ungated) return null;
+    const relative = -0.691 + 10 * Math.log10(ungated) - 10;
+    const mean = gatedMean(Math.floor((relative - LUFS_FLOOR) / BIN_LU));
+    return mean ? -0.691 + 10 * Math.log10(mean) : null;
+  }
+
+  // Gain in dB that takes what was measured so far to `targetLufs`, or null
+  // while nothing has passed the gates. Peaks are left to a limiter after it.
+  gainTo(targetLufs) {
+    const lufs = this.integrated();
+    if (lufs === null) return null;
+    return Math.min(targetLufs - lufs, MAX_BOOST_DB);
+  }
+}
+
+// Two biquads, as specified by BS.1770: a high shelf for the head's acoustic
+// effect, then a high pass (the "RLB" curve). Coefficients are derived for
+// any sample rate the way libebur128 does it. Returns a per-sample filter.
+function kWeighting(sampleRate) {
+  const shelf = (() => {
+    const f0 = 1681.974450955533, gainDb = 3.999843853973347, q = 0.7071752369554196;
+    const k = Math.tan(Math.PI * f0 / sampleRate);
+    const vh = Math.pow(10, gainDb / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    return [vh + vb * k / q + k * k, 2 * (k * k - vh), vh - vb * k / q + k * k,
+      1 + k / q + k * k, 2 * (k * k - 1), 1 - k / q + k * k];
+  })();
+  const highPass = (() => {
+    const f0 = 38.13547087602444, q = 0.5003270373238773;
+    const k = Math.tan(Math.PI * f0 / sampleRate);
+    const a0 = 1 + k / q + k * k;
+    return [a0, -2 * a0, a0, a0, 2 * (k * k - 1), 1 - k / q + k * k];
+  })();
+  const stages = [shelf, highPass].map(biquad);
+  return (x) => stages[1](stages[0](x));
+}
+
+// Direct form I biquad from [b0, b1, b2, a0, a1, a2]
+function biquad([b0, b1, b2, a0, a1, a2]) {
+  b0 /= a0; b1 /= a0; b2 /= a0; a1 /= a0; a2 /= a0;
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  return (x) => {
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    return y;
+  };
+}
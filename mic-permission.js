@@ -0,0 +1,16 @@
+// Offscreen documents can't show permission prompts, so the microphone has to
+// be granted once from a visible extension page. The grant then applies to the
+// whole extension origin, including offscreen.html.
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const status = document.getElementById('status');
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+    stream.getTracks().forEach((t) => t.stop());
+    status.className = 'granted';
+    status.textContent = 'Microphone access granted. You can close this tab and pick a device in the recorder settings.';
+  } catch (e) {
+    status.className = 'denied';
+    status.textContent = `Microphone access was not granted (${e.name}). Allow it in the site settings for this extension and reload this page.`;
+  }
+});
@@ -1,11 +1,24 @@
-// Map<tabId, { recorder: MediaRecorder, stream: MediaStream, chunks: Blob[] }>
+// Map<tabId, { tabs, mixBus, micStream, audioCtx, tracks, levelIntervalId, format, bitrate, silence, keepCopy, paused, part, micPart,
+//              normalizer }>
+// `tabs` is Map<tabId, { stream, audioEl, level }> — every tab captured into the
+// recording, each through its own gain node (`level`) into `mixBus`.
+// `tracks` are what gets recorded: { main: { node, stream }, mic? } — main is the
+// tab mix on its own or mixed with the microphone; mic exists only when the
+// microphone goes to a file of its own.
+// `part` / `micPart` are the files currently being written — see startPart().
+// Splitting swaps them for fresh ones while the capture keeps running.
+// `normalizer` (see startNormalizer()) holds the main track at a target loudness, when that's on.
 const recordings = new Map();
 
+// Map<url, Blob> — blob URLs handed to background for chrome.downloads and
+// uploads, revoked once it reports both finished
+const savedUrls = new Map();
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.target !== 'offscreen') return;
 
   handleMessage(message)
-    .then(() => sendResponse({ ok: true }))
+    .then((result) => sendResponse({ ok: true, ...result }))
     .catch((e) => {
       console.error('[offscreen] error:', e);
       sendResponse({ ok: false, error: e.message });
@@ -14,11 +27,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // keep channel open for async response
 });
 
-async function handleMessage({ action, streamId, tabId, filename }) {
+async function handleMessage(message) {
+  const { action, tabId, mixTabId, sessionId, filename, url } = message;
   switch (action) {
     case 'start':
-      await startRecording(tabId, streamId, filename);
-      break;
+      return startRecording(message);
     case 'pause':
       pauseRecording(tabId);
       break;
@@ -26,124 +39,858 @@ async function handleMessage({ action, streamId, tabId, filename }) {
       resumeRecording(tabId);
       break;
     case 'stop':
-      stopRecording(tabId);
+      stopRecording(tabId, message.tags);
+      break;
+    case 'addTab':
+      await addTab(tabId, mixTabId, message.streamId, message.gain);
+      break;
+    case 'removeTab':
+      removeTab(tabId, mixTabId);
+      break;
+    case 'tabGain':
+      setTabGain(tabId, mixTabId, message.gain);
+      break;
+    case 'split':
+      await splitRecording(tabId, sessionId, filename, message.mic, message.tags);
+      break;
+    case 'sessions':
+      return { sessionIds: [...recordings.values()].flatMap((r) => activeParts(r).map((p) => p.sessionId)) };
+    case 'recordings':
+      return {
+        recordings: [...recordings].map(([id, r]) => describeRecording(id, r)),
+        buffers: [...buffers].map(([id, b]) => ({ tabId: id, minutes: b.minutes, format: b.format, startTime: b.startTime })),
+      };
+    case 'startBuffer':
+      return startBuffer(message);
+    case 'saveReplay':
+      return saveReplay(tabId, sessionId, filename, message.tags);
+    case 'stopBuffer':
+      stopBuffer(tabId);
+      break;
+    case 'recover':
+      await recoverSession(sessionId, message.keepCopy);
+      break;
+    case 'release':
+      releaseUrl(url);
+      break;
+    case 'upload':
+      runUpload(message); // reports back through uploadStatus messages
       break;
   }
 }
 
-async function startRecording(tabId, streamId, filename) {
-  const stream = await navigator.mediaDevices.getUserMedia({
-    audio: {
-      mandatory: {
-        chromeMediaSource: 'tab',
-        chromeMediaSourceId: streamId,
-      },
-    },
-    video: false,
-  });
-
-  const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus')
-    ? 'audio/webm;codecs=opus'
-    : 'audio/webm';
+async function startRecording({ tabId, sessionId, streamId, filename, format = 'webm', bitrate, silence = null, mic = null, gain = 1, keepCopy = false, tags = null, processing = null, fromBuffer = false }) {
+  // A tab can't be captured twice, so a replay buffer on it hands its capture over
+  const captured = fromBuffer ? handOverBuffer(tabId) : { stream: await captureTab(streamId) };
+  const stream = captured.stream;
 
-  // Echo the stream back to speakers — without this, tabCapture silences the tab
-  const audioEl = new Audio();
-  audioEl.srcObject = stream;
-  audioEl.play();
+  const entry = {
+    tabs: new Map([[tabId, { stream, audioEl: captured.audioEl || echoTab(stream), level: null }]]),
+    mixBus: null, micStream: null, audioCtx: null, levelIntervalId: null, format, bitrate,
+    tracks: { main: { node: null, stream } },
+    silence: silence && { ...silence, silentSince: null, silentFromSeq: 0, sent: {} },
+    keepCopy,
+    paused: false,
+    stopping: false,
+    part: null,
+    micPart: null,
+    normalizer: null,
+  };
+  let micError = null;
 
-  // Analyser for equalizer icon — reads frequency data and sends to background.
-  // Connected to stream source only, NOT to destination (audioEl handles playback).
-  let audioCtx;
-  let levelIntervalId;
+  // Analysers for the equalizer icon and the popup's level meter — levels go to background.
+  // Connected to the recorded signal only, NOT to destination (audioEl handles playback).
+  // WAV/MP3 and the microphone mix also need the context, so for them it is required.
   try {
-    audioCtx = new AudioContext();
+    const audioCtx = new AudioContext();
+    entry.audioCtx = audioCtx;
+    // Tabs join and leave the mix while the recorder keeps writing from the bus
+    entry.mixBus = audioCtx.createGain();
+    connectTab(entry, tabId, gain);
+    entry.tracks.main = { node: entry.mixBus, stream: streamFrom(audioCtx, entry.mixBus) };
+
+    if (mic) {
+      try {
+        await connectMicrophone(entry, mic);
+      } catch (e) {
+        // Record the tab alone rather than nothing; background reports it
+        console.warn('[offscreen] microphone unavailable, recording tab only:', e);
+        micError = e.message || String(e);
+      }
+    }
+    if (processing) await applyProcessing(entry, processing);
+    const input = entry.tracks.main.node;
+
     const analyser = audioCtx.createAnalyser();
     analyser.fftSize = 32;                  // 16 frequency bins — one per equalizer bar
     analyser.smoothingTimeConstant = 0.75;  // smooth decay between frames
-    audioCtx.createMediaStreamSource(stream).connect(analyser);
+    input.connect(analyser);
+
+    // Separate analyser for loudness: 32 samples is too short a window for RMS.
+    // 4096 samples cover a whole tick at 48 kHz, so no peak falls between reads.
+    const levelAnalyser = audioCtx.createAnalyser();
+    levelAnalyser.fftSize = 4096;
+    input.connect(levelAnalyser);
+    const samples = new Float32Array(levelAnalyser.fftSize);
 
     const freqData = new Uint8Array(analyser.frequencyBinCount); // 16 values
-    levelIntervalId = setInterval(() => {
+    entry.levelIntervalId = setInterval(() => {
       analyser.getByteFrequencyData(freqData);
+      levelAnalyser.getFloatTimeDomainData(samples);
+      const rms = rmsDb(samples);
       chrome.runtime.sendMessage(
         {
           target: 'background',
           action: 'levels',
           tabId,
           levels: Array.from(freqData), // all 16 bins → 16 radial bars
+          rms:  meterDb(rms),
+          peak: meterDb(peakDb(samples)),
         },
         () => void chrome.runtime.lastError
       );
+
+      if (entry.silence) detectSilence(tabId, entry, rms);
     }, 80); // ~12 fps
   } catch (e) {
     console.warn('[offscreen] AudioContext setup failed, no equalizer:', e);
+    if (mic) micError = 'AudioContext unavailable';
   }
 
-  const chunks = [];
-  const recorder = new MediaRecorder(stream, { mimeType });
-  const entry = { recorder, stream, chunks, audioEl, audioCtx, levelIntervalId, totalBytes: 0 };
+  try {
+    // With trimming on, the first part waits for sound before writing anything
+    entry.part = await startPart(tabId, entry, sessionId, filename, { waitForSound: Boolean(silence?.trim), tags });
+  } catch (e) {
+    stopCapture(entry);
+    throw e;
+  }
+  if (entry.tracks.mic) {
+    try {
+      entry.micPart = await startPart(tabId, entry, mic.sessionId, mic.filename, { track: 'mic', tags });
+    } catch (e) {
+      console.warn('[offscreen] could not record microphone file:', e);
+      micError = e.message || String(e);
+    }
+  }
   recordings.set(tabId, entry);
+  return micError ? { micError } : undefined;
+}
+
+function captureTab(streamId) {
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      mandatory: {
+        chromeMediaSource: 'tab',
+        chromeMediaSourceId: streamId,
+      },
+    },
+    video: false,
+  });
+}
+
+// Echo the stream back to speakers — without this, tabCapture silences the tab
+function echoTab(stream) {
+  const audioEl = new Audio();
+  audioEl.srcObject = stream;
+  audioEl.play();
+  return audioEl;
+}
+
+function connectTab({ audioCtx, tabs, mixBus }, tabId, gain = 1) {
+  const tab = tabs.get(tabId);
+  tab.level = audioCtx.createGain();
+  tab.level.gain.value = gain;
+  audioCtx.createMediaStreamSource(tab.stream).connect(tab.level).connect(mixBus);
+}
+
+function releaseTab({ stream, audioEl, level }) {
+  level?.disconnect();
+  audioEl.srcObject = null;
+  stream.getTracks().forEach((t) => t.stop());
+}
+
+// Routes the microphone into the recording. Both sources get their own gain;
+// `mode` decides what is written:
+//   'mix'      — one file, tab and mic summed
+//   'channels' — one stereo file, tab (downmixed) left and mic right, to separate later
+//   'files'    — tab and mic each to a file of their own
+async function connectMicrophone(entry, { deviceId, tabGain = 1, micGain = 1, mode = 'mix' }) {
+  const { audioCtx, tracks } = entry;
+  entry.micStream = await navigator.mediaDevices.getUserMedia({
+    audio: deviceId ? { deviceId: { exact: deviceId } } : true,
+    video: false,
+  });
+
+  const tabLevel = audioCtx.createGain();
+  tabLevel.gain.value = tabGain;
+  tracks.main.node.connect(tabLevel);
+
+  const micLevel = audioCtx.createGain();
+  micLevel.gain.value = micGain;
+  audioCtx.createMediaStreamSource(entry.micStream).connect(micLevel);
+
+  let main;
+  if (mode === 'files') {
+    main = tabLevel;
+    tracks.mic = { node: micLevel, stream: streamFrom(audioCtx, micLevel) };
+  } else if (mode === 'channels') {
+    main = audioCtx.createChannelMerger(2);
+    toMono(audioCtx, tabLevel).connect(main, 0, 0);
+    toMono(audioCtx, micLevel).connect(main, 0, 1);
+  } else {
+    main = audioCtx.createGain();
+    tabLevel.connect(main);
+    micLevel.connect(main);
+  }
+  tracks.main = { node: main, stream: streamFrom(audioCtx, main) };
+}
+
+function toMono(audioCtx, node) {
+  const mono = audioCtx.createGain();
+  mono.channelCount = 1;
+  mono.channelCountMode = 'explicit';
+  mono.channelInterpretation = 'speakers';
+  node.connect(mono);
+  return mono;
+}
+
+// MediaRecorder needs a MediaStream, not a node
+function streamFrom(audioCtx, node) {
+  const dest = audioCtx.createMediaStreamDestination();
+  node.connect(dest);
+  return dest.stream;
+}
+
+// `previous` — the recorder of the part this one follows; a PcmRecorder carries on from it
+async function createRecorder({ audioCtx, tracks, format, bitrate }, track = 'main', previous = null) {
+  const { node, stream } = tracks[track];
+  if (format === 'wav' || format === 'mp3') {
+    if (!node) throw new Error(`AudioContext unavailable, cannot encode ${format}`);
+    const recorder = previous?.successor
+      ? previous.successor()
+      : await PcmRecorder.create(audioCtx, node, { format, bitrate });
+    return { recorder, mimeType: recorder.mimeType };
+  }
+  const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus')
+    ? 'audio/webm;codecs=opus'
+    : 'audio/webm';
+  return { recorder: new MediaRecorder(stream, { mimeType }), mimeType };
+}
+
+// Starts writing one output file from the running capture. Each part has its
+// own recorder, so every file starts with its own header and plays on its own.
+// `tags` are written into the file when it's saved; see assembleFile() / fixWebm().
+async function startPart(tabId, entry, sessionId, filename, { waitForSound = false, ...options } = {}) {
+  const part = await preparePart(tabId, entry, sessionId, filename, options);
+  beginPart(part, { waitForSound });
+  return part;
+}
+
+// Sets a part up without starting its recorder. `after` is the part it takes over from.
+async function preparePart(tabId, entry, sessionId, filename, { track = 'main', tags = null, after = null } = {}) {
+  const { recorder, mimeType } = await createRecorder(entry, track, after?.recorder);
+
+  // Chunks go straight to chunk-store.js so memory use stays flat however long
+  // the recording runs. `writes` keeps them in order; a chunk whose write fails
+  // is kept in `unsaved` instead so the file is still complete.
+  // `chunkEnds[seq]` is where each chunk ends on the part's clock (see partClock()).
+  const part = {
+    recorder, mimeType, sessionId, filename,
+    chunkCount: 0, totalBytes: 0, writes: Promise.resolve(), unsaved: new Map(),
+    clockMs: 0, clockFrom: null, chunkEnds: [],
+    waitingSince: null, trimmedMs: 0, leadingTrimMs: 0, tags: tags && { ...tags },
+  };
+
+  // Everything needed to rebuild the file from chunk-store.js after a crash
+  updateSession(sessionId, { mimeType, sampleRate: recorder.sampleRate || entry.audioCtx?.sampleRate })
+    .catch((e) => console.warn('[offscreen] could not persist session metadata:', e));
 
   recorder.ondataavailable = (e) => {
     if (e.data && e.data.size > 0) {
-      chunks.push(e.data);
-      entry.totalBytes += e.data.size;
+      const seq = part.chunkCount++;
+      const data = e.data;
+      part.totalBytes += data.size;
+      part.chunkEnds[seq] = partClock(part);
+      part.writes = part.writes
+        .then(() => appendChunk(sessionId, seq, data))
+        .catch((err) => {
+          console.warn('[offscreen] chunk persist failed, keeping it in memory:', err);
+          part.unsaved.set(seq, data);
+        });
       chrome.runtime.sendMessage(
-        { target: 'background', action: 'size', tabId, bytes: entry.totalBytes },
+        { target: 'background', action: 'size', tabId, sessionId, bytes: part.totalBytes },
         () => void chrome.runtime.lastError
       );
     }
   };
 
-  recorder.onstop = () => {
-    clearInterval(levelIntervalId);
-    audioCtx?.close();
-    stream.getTracks().forEach((t) => t.stop());
-    recordings.delete(tabId);
+  recorder.onstop = async () => {
+    // The last part takes the capture down with it; a split part leaves it running
+    if (entry.part === part) {
+      stopCapture(entry);
+      recordings.delete(tabId);
+    }
 
-    if (chunks.length === 0) {
+    if (part.waitingSince) trimLeadingSilence(part, Date.now()); // never heard a sound
+
+    if (part.chunkCount === 0) {
       console.warn('[offscreen] no audio chunks, skipping save');
-      chrome.runtime.sendMessage({ target: 'background', action: 'save_failed', tabId });
+      chrome.runtime.sendMessage({ target: 'background', action: 'save_failed', tabId, sessionId, reason: 'no-audio' });
       return;
     }
 
-    const blob = new Blob(chunks, { type: mimeType });
-
-    // Convert to base64 data URL — the only reliable way to pass binary
-    // data from offscreen to background service worker for chrome.downloads.
-    const reader = new FileReader();
-    reader.onload = () => {
-      chrome.runtime.sendMessage(
-        { target: 'background', action: 'save', tabId, dataUrl: reader.result, filename },
-        () => void chrome.runtime.lastError
-      );
-    };
-    reader.onerror = (e) => console.error('[offscreen] FileReader error:', e);
-    reader.readAsDataURL(blob);
+    try {
+      let chunks = await collectChunks(part);
+      if (entry.part === part && entry.silence?.trim) chunks = trimTrailingSilence(entry, part, chunks);
+      let blob = recorder.finalize ? recorder.finalize(chunks, part.tags) : new Blob(chunks, { type: mimeType });
+      if (mimeType.startsWith('audio/webm')) blob = await seekableWebm(blob, part.tags);
+      sendSave(blob, { tabId, sessionId, filename, mimeType, trimmedMs: part.trimmedMs, leadingTrimMs: part.leadingTrimMs }, entry.keepCopy);
+    } catch (e) {
+      console.error('[offscreen] could not assemble recording:', e);
+      chrome.runtime.sendMessage({
+        target: 'background', action: 'save_failed', tabId, sessionId, reason: 'save-failed', error: e.message,
+      });
+    }
   };
 
+  return part;
+}
+
+function beginPart(part, { waitForSound = false } = {}) {
   // Collect chunks every second to limit memory usage per chunk
-  recorder.start(1000);
+  part.recorder.start(1000);
+  runPartClock(part, true);
+  if (waitForSound) {
+    pausePart(part);
+    part.waitingSince = Date.now();
+  }
+}
+
+// A part's clock runs while its recorder records, so it measures the audio its
+// chunks hold — chunks aren't a fixed length (requestData(), the WebM header).
+function partClock(part) {
+  return part.clockMs + (part.clockFrom !== null ? Date.now() - part.clockFrom : 0);
+}
+
+function runPartClock(part, running) {
+  if (running && part.clockFrom === null) {
+    part.clockFrom = Date.now();
+  } else if (!running && part.clockFrom !== null) {
+    part.clockMs += Date.now() - part.clockFrom;
+    part.clockFrom = null;
+  }
+}
+
+function pausePart(part) {
+  if (part.recorder.state !== 'recording') return;
+  part.recorder.pause();
+  runPartClock(part, false);
+}
+
+function resumePart(part) {
+  if (part.recorder.state !== 'paused') return;
+  part.recorder.resume();
+  runPartClock(part, true);
+}
+
+function stopPart(part) {
+  runPartClock(part, false);
+  part.recorder.stop();
+}
+
+function stopCapture({ tabs, micStream, audioCtx, levelIntervalId, normalizer }) {
+  clearInterval(levelIntervalId);
+  clearInterval(normalizer?.intervalId);
+  tabs.forEach(releaseTab);
+  audioCtx?.close();
+  micStream?.getTracks().forEach((t) => t.stop());
+}
+
+// What background needs to rebuild its state after the service worker restarted
+function describeRecording(tabId, rec) {
+  return {
+    tabId,
+    paused: rec.paused,
+    sessionId: rec.part?.sessionId ?? null,
+    micSessionId: rec.micPart?.sessionId ?? null,
+    tabIds: [...rec.tabs.keys()],
+  };
+}
+
+function activeParts(rec) {
+  return rec.micPart ? [rec.part, rec.micPart] : [rec.part];
 }
 
 function pauseRecording(tabId) {
   const rec = recordings.get(tabId);
-  if (rec?.recorder.state === 'recording') {
-    rec.recorder.pause();
-  }
+  if (!rec) return;
+  rec.paused = true;
+  activeParts(rec).forEach(pausePart);
 }
 
 function resumeRecording(tabId) {
   const rec = recordings.get(tabId);
-  if (rec?.recorder.state === 'paused') {
-    rec.recorder.resume();
-  }
+  if (!rec) return;
+  rec.paused = false;
+  rec.part.waitingSince = null; // an explicit resume overrides waiting for sound
+  activeParts(rec).forEach(resumePart);
 }
 
-function stopRecording(tabId) {
+// `tags` — fields edited on stop, for the parts still being written
+function stopRecording(tabId, tags = null) {
   const rec = recordings.get(tabId);
   if (rec) {
+    if (tags) activeParts(rec).forEach((part) => { part.tags = { ...part.tags, ...tags }; });
+    rec.stopping = true;
     clearInterval(rec.levelIntervalId); // stop sending levels immediately
-    rec.recorder.stop();
+    // Mic first: the main part's onstop takes the whole capture down
+    if (rec.micPart) stopPart(rec.micPart);
+    stopPart(rec.part);
+  }
+}
+
+// ─── Replay buffer ────────────────────────────────────────────────────────────
+
+// Map<tabId, { tabs, mixBus, micStream, audioCtx, tracks, levelIntervalId, format, bitrate, keepCopy, normalizer,
+//              minutes, startTime, recorder, mimeType, segments, segmentDone, rotateId, rotation, discarded }>
+// An always-on capture that keeps only the last `minutes` of audio, as
+// segments that each stand on their own: WebM from a MediaRecorder swapped
+// for a fresh one every SEGMENT_MS, or each chunk of a PcmRecorder (headerless
+// PCM or whole MP3 frames). Old segments are dropped as new ones arrive;
+// saving joins what's left into a normal file.
+const buffers = new Map();
+
+const SEGMENT_MS = 10000;
+
+async function startBuffer({ tabId, streamId, format = 'webm', bitrate, minutes, gain = 1, keepCopy = false, processing = null }) {
+  const stream = await captureTab(streamId);
+  const entry = {
+    tabs: new Map([[tabId, { stream, audioEl: echoTab(stream), level: null }]]),
+    mixBus: null, micStream: null, audioCtx: null, levelIntervalId: null, format, bitrate, keepCopy,
+    tracks: { main: { node: null, stream } },
+    normalizer: null,
+    minutes, startTime: Date.now(),
+    recorder: null, mimeType: null, segments: [], segmentDone: null,
+    rotateId: null, rotation: Promise.resolve(), discarded: false,
+  };
+  try {
+    entry.audioCtx = new AudioContext();
+    entry.mixBus = entry.audioCtx.createGain();
+    connectTab(entry, tabId, gain);
+    entry.tracks.main = { node: entry.mixBus, stream: streamFrom(entry.audioCtx, entry.mixBus) };
+    if (processing) await applyProcessing(entry, processing);
+    beginSegment(entry, await prepareSegment(entry));
+  } catch (e) {
+    stopCapture(entry);
+    throw e;
+  }
+  if (!entry.recorder.finalize) entry.rotateId = setInterval(() => rotateSegment(entry).catch(() => {}), SEGMENT_MS);
+  buffers.set(tabId, entry);
+}
+
+// A recorder for the next segment, not started yet: { recorder, mimeType, done, begin }
+async function prepareSegment(entry) {
+  const { recorder, mimeType } = await createRecorder(entry);
+  let startedAt = null;
+  const segment = { recorder, mimeType, done: null, begin: () => { startedAt = Date.now(); } };
+
+  if (recorder.finalize) {
+    recorder.ondataavailable = (e) => {
+      const now = Date.now();
+      addSegment(entry, e.data, now - startedAt);
+      startedAt = now;
+    };
+  } else {
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data?.size > 0) chunks.push(e.data); };
+    segment.done = new Promise((resolve) => {
+      recorder.onstop = () => {
+        if (chunks.length) addSegment(entry, new Blob(chunks, { type: mimeType }), Date.now() - startedAt);
+        resolve();
+      };
+    });
+  }
+  return segment;
+}
+
+function beginSegment(entry, segment) {
+  entry.recorder = segment.recorder;
+  entry.mimeType = segment.mimeType;
+  entry.segmentDone = segment.done;
+  segment.begin();
+  segment.recorder.start(1000);
+}
+
+// Swaps in a fresh MediaRecorder; resolves once the old one's segment is kept.
+// The next one starts and the old one stops in the same task, so segments meet
+// without a gap or audio kept twice. Rotations (timer and save) run one at a time.
+function rotateSegment(entry) {
+  const rotation = entry.rotation.then(async () => {
+    if (entry.discarded) return;
+    const next = await prepareSegment(entry);
+    if (entry.discarded) return;
+    const previous = entry.recorder;
+    const done = entry.segmentDone;
+    beginSegment(entry, next);
+    previous.stop();
+    await done;
+  });
+  entry.rotation = rotation.catch((e) => console.warn('[offscreen] replay segment rotation failed:', e));
+  return rotation;
+}
+
+function addSegment(entry, data, ms) {
+  entry.segments.push({ data, ms });
+  let total = entry.segments.reduce((n, seg) => n + seg.ms, 0);
+  while (entry.segments.length > 1 && total - entry.segments[0].ms >= entry.minutes * 60 * 1000) {
+    total -= entry.segments.shift().ms;
+  }
+}
+
+// Saves what the buffer holds through the regular save path; the buffer keeps running
+async function saveReplay(tabId, sessionId, filename, tags = null) {
+  const entry = buffers.get(tabId);
+  if (!entry) throw new Error('No replay buffer on this tab');
+  const { recorder, mimeType } = entry;
+  if (recorder.finalize) recorder.requestData();
+  else await rotateSegment(entry);
+
+  const segments = [...entry.segments];
+  if (!segments.length) throw new Error('Nothing buffered yet');
+  const duration = segments.reduce((n, seg) => n + seg.ms, 0);
+  const blob = recorder.finalize
+    ? recorder.finalize(segments.map((seg) => seg.data), tags)
+    : await seekableWebm(await joinWebm(segments.map((seg) => seg.data), mimeType), tags);
+  sendSave(blob, { tabId, sessionId, filename, mimeType, duration }, entry.keepCopy);
+  return { duration };
+}
+
+function stopBuffer(tabId) {
+  const entry = buffers.get(tabId);
+  if (!entry) return;
+  buffers.delete(tabId);
+  discardBuffer(entry);
+}
+
+// Ends the buffer without saving and returns its tab capture, still running,
+// for the recording that replaces it
+function handOverBuffer(tabId) {
+  const entry = buffers.get(tabId);
+  if (!entry) throw new Error('No replay buffer on this tab');
+  buffers.delete(tabId);
+  const tab = entry.tabs.get(tabId);
+  entry.tabs.delete(tabId); // keeps stopCapture() off the stream
+  tab.level?.disconnect();
+  discardBuffer(entry);
+  return tab;
+}
+
+function discardBuffer(entry) {
+  entry.discarded = true;
+  clearInterval(entry.rotateId);
+  const { recorder } = entry;
+  recorder.ondataavailable = null;
+  recorder.onstop = null;
+  if (recorder.state !== 'inactive') recorder.stop();
+  entry.segments = [];
+  stopCapture(entry);
+}
+
+// ─── Processing chain ─────────────────────────────────────────────────────────
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Inserted between the mix and what's recorded (and metered):
+//   input gain → 3-band EQ → compressor → limiter → normalizing gain → ceiling
+// `processing`: { gainDb, eq: { low, mid, high } | null, compressor, normalizeLufs | null }
+async function applyProcessing(entry, { gainDb = 0, eq = null, compressor = false, normalizeLufs = null }) {
+  const { audioCtx, tracks } = entry;
+  let node = tracks.main.node;
+  const chain = (next) => { node.connect(next); node = next; };
+
+  const input = audioCtx.createGain();
+  input.gain.value = dbToGain(gainDb);
+  chain(input);
+
+  if (eq) {
+    [['lowshelf', 250, eq.low], ['peaking', 1000, eq.mid], ['highshelf', 4000, eq.high]].forEach(([type, frequency, gain]) => {
+      const band = audioCtx.createBiquadFilter();
+      band.type = type;
+      band.frequency.value = frequency;
+      band.gain.value = gain || 0;
+      chain(band);
+    });
+  }
+
+  if (compressor) {
+    // Evens out quiet speakers and loud ads; the limiter then catches what's left
+    chain(new DynamicsCompressorNode(audioCtx, { threshold: -24, knee: 12, ratio: 4, attack: 0.01, release: 0.25 }));
+    chain(new DynamicsCompressorNode(audioCtx, { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }));
+  }
+
+  if (normalizeLufs !== null) {
+    chain(await startNormalizer(entry, node, normalizeLufs));
+    chain(new DynamicsCompressorNode(audioCtx, { threshold: NORMALIZE_CEILING_DB, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }));
+  }
+
+  tracks.main = { node, stream: streamFrom(audioCtx, node) };
+}
+
+// ─── Loudness normalization ───────────────────────────────────────────────────
+
+const NORMALIZE_UPDATE_MS  = 1000;
+const NORMALIZE_GLIDE_SEC  = 3;    // time constant of each gain change
+const NORMALIZE_CEILING_DB = -1;   // limiter threshold after the gain; a ceiling, not a brick wall
+
+// Measures the processed signal ahead of the normalizing gain it returns, and
+// steers that gain toward what brings everything measured so far to
+// `targetLufs`. It acts before encoding, so every format comes out normalized.
+// Early estimates are rough; the glide keeps them from being heard as jumps.
+async function startNormalizer(entry, source, targetLufs) {
+  const { audioCtx } = entry;
+  if (!workletContexts.has(audioCtx)) {
+    await audioCtx.audioWorklet.addModule('pcm-worklet.js');
+    workletContexts.add(audioCtx);
+  }
+  const meter = new LoudnessMeter(audioCtx.sampleRate);
+  const tap = new AudioWorkletNode(audioCtx, 'pcm-capture', {
+    numberOfInputs: 1, numberOfOutputs: 0, channelCount: 2, channelCountMode: 'explicit',
+  });
+  tap.port.onmessage = (e) => {
+    if (e.data === 'flushed') return;
+    // Only what's written counts — not paused stretches or trimmed leading silence
+    const recorder = entry.part?.recorder ?? entry.recorder;
+    if (recorder?.state === 'recording') meter.push(e.data);
+  };
+  source.connect(tap);
+
+  const level = audioCtx.createGain();
+  const intervalId = setInterval(() => {
+    const gainDb = meter.gainTo(targetLufs);
+    if (gainDb !== null) level.gain.setTargetAtTime(dbToGain(gainDb), audioCtx.currentTime, NORMALIZE_GLIDE_SEC);
+  }, NORMALIZE_UPDATE_MS);
+  entry.normalizer = { level, intervalId };
+  return level;
+}
+
+// ─── Multi-tab mix ───────────────────────────────────────────────────────────
+
+async function addTab(tabId, mixTabId, streamId, gain) {
+  const rec = recordings.get(tabId);
+  if (!rec) throw new Error('No recording for tab');
+  if (!rec.mixBus) throw new Error('AudioContext unavailable, cannot mix tabs');
+  if (rec.tabs.has(mixTabId)) return;
+  const stream = await captureTab(streamId);
+  rec.tabs.set(mixTabId, { stream, audioEl: echoTab(stream), level: null });
+  connectTab(rec, mixTabId, gain);
+}
+
+function removeTab(tabId, mixTabId) {
+  const tab = recordings.get(tabId)?.tabs.get(mixTabId);
+  if (!tab) return;
+  releaseTab(tab);
+  recordings.get(tabId).tabs.delete(mixTabId);
+}
+
+function setTabGain(tabId, mixTabId, gain) {
+  const level = recordings.get(tabId)?.tabs.get(mixTabId)?.level;
+  if (level) level.gain.value = Number(gain);
+}
+
+// ─── Silence detection ────────────────────────────────────────────────────────
+
+function rmsDb(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+function peakDb(samples) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  return peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+}
+
+// dBFS for the level meter: one decimal, and -Infinity doesn't survive messaging
+function meterDb(db) {
+  return Math.max(-90, Math.round(db * 10) / 10);
+}
+
+// Called every level tick with the current loudness. Background decides what
+// to do with 'silent' / 'sound' / 'timeout' — only events whose limit is
+// configured are sent, each once per stretch of silence.
+function detectSilence(tabId, entry, db) {
+  const silence = entry.silence;
+  const part = entry.part;
+  const now = Date.now();
+
+  if (db > silence.thresholdDb) {
+    if (silence.sent.silent) notifySilence(tabId, 'sound');
+    silence.silentSince = null;
+    silence.sent = {};
+    if (part?.waitingSince && !entry.paused) {
+      // Leading silence trimmed: start writing from the first sound
+      trimLeadingSilence(part, now);
+      resumePart(part);
+    }
+    return;
+  }
+
+  if (silence.silentSince === null) {
+    silence.silentSince = now;
+    silence.silentFromSeq = part?.chunkCount ?? 0;
+  }
+  const silentMs = now - silence.silentSince;
+  if (silence.pauseAfterMs && silentMs >= silence.pauseAfterMs && !silence.sent.silent) {
+    silence.sent.silent = true;
+    notifySilence(tabId, 'silent');
+  }
+  if (silence.stopAfterMs && silentMs >= silence.stopAfterMs && !silence.sent.timeout) {
+    silence.sent.timeout = true;
+    notifySilence(tabId, 'timeout');
+  }
+}
+
+function notifySilence(tabId, event) {
+  chrome.runtime.sendMessage(
+    { target: 'background', action: 'silence', tabId, event },
+    () => void chrome.runtime.lastError
+  );
+}
+
+// What a part waited for sound before writing is left out of the file; unlike
+// trailing silence it also moves everything after it (markers) earlier.
+function trimLeadingSilence(part, now) {
+  part.trimmedMs += now - part.waitingSince;
+  part.leadingTrimMs += now - part.waitingSince;
+  part.waitingSince = null;
+}
+
+// Drops the chunks written after the current stretch of silence began. The
+// chunk in progress when it began is kept so the last sound isn't clipped.
+function trimTrailingSilence(entry, part, chunks) {
+  const { silentSince, silentFromSeq } = entry.silence;
+  if (silentSince === null) return chunks;
+  const keep = Math.min(chunks.length, silentFromSeq + 1);
+  if (keep < chunks.length) part.trimmedMs += part.chunkEnds[chunks.length - 1] - part.chunkEnds[keep - 1];
+  return chunks.slice(0, keep);
+}
+
+// Rolls over to a new file. The next part is set up first; then it starts and
+// the previous one stops in the same task, so the files meet on a chunk
+// boundary: nothing falls between them and nothing is written to both.
+async function splitRecording(tabId, sessionId, filename, mic, tags = null) {
+  const rec = recordings.get(tabId);
+  if (!rec) throw new Error('No recording for tab');
+  const previous = rec.part;
+  const previousMic = mic ? rec.micPart : null;
+  const part = await preparePart(tabId, rec, sessionId, filename, { tags, after: previous });
+  const micPart = previousMic
+    ? await preparePart(tabId, rec, mic.sessionId, mic.filename, { track: 'mic', tags, after: previousMic })
+      .catch((e) => { console.warn('[offscreen] could not start next microphone part:', e); return null; })
+    : null;
+  // A stop that came in meanwhile ends the recording with the previous part
+  if (rec.stopping || recordings.get(tabId) !== rec) throw new Error('Recording stopped');
+
+  rec.part = part;
+  beginPart(part);
+  stopPart(previous);
+  if (previousMic) {
+    rec.micPart = micPart;
+    if (micPart) beginPart(micPart);
+    stopPart(previousMic);
+  }
+  if (rec.paused) activeParts(rec).forEach(pausePart);
+  if (rec.silence?.silentSince != null) rec.silence.silentFromSeq = 0; // silence carries into the new part
+}
+
+// Reads back every chunk of a finished recording in order. Blobs read from
+// IndexedDB are disk-backed, so joining them doesn't pull the audio into memory.
+async function collectChunks({ sessionId, writes, unsaved }) {
+  await writes;
+  const rows = await readChunks(sessionId);
+  if (unsaved.size === 0) return rows.map((r) => r.data);
+  unsaved.forEach((data, seq) => rows.push({ seq, data }));
+  return rows.sort((a, b) => a.seq - b.seq).map((r) => r.data);
+}
+
+// Rebuilds a recording left in chunk-store.js by a crashed session and hands
+// it to background through the normal save path.
+async function recoverSession(sessionId, keepCopy = false) {
+  const meta = await getSession(sessionId);
+  if (!meta) throw new Error('Unknown session');
+  const rows = await readChunks(sessionId);
+  if (rows.length === 0) throw new Error('Session has no audio');
+
+  const mimeType = meta.mimeType || 'audio/webm';
+  const tags = meta.tags || null;
+  let blob = assembleFile(rows.map((r) => r.data), { mimeType, sampleRate: meta.sampleRate, tags });
+  if (mimeType.startsWith('audio/webm')) blob = await seekableWebm(blob, tags);
+  sendSave(blob, { tabId: meta.tabId, sessionId, filename: meta.filename, mimeType, recovered: true }, keepCopy);
+}
+
+// Adds Duration and a Cues index (webm-fixup.js). The file plays without them,
+// so a failure only costs seeking.
+async function seekableWebm(blob, tags = null) {
+  try {
+    return await fixWebm(blob, tags);
+  } catch (e) {
+    console.warn('[offscreen] could not index WebM, saving it as recorded:', e);
+    return blob;
+  }
+}
+
+// Hands the file to background as a blob URL — chrome.downloads streams it from
+// this document, so nothing the size of the recording crosses the message channel.
+// With `keepCopy` the file also goes to chunk-store.js for the editor, first,
+// so background finds it there to rename once the final name is known.
+function sendSave(blob, fields, keepCopy = false) {
+  const url = URL.createObjectURL(blob);
+  savedUrls.set(url, blob);
+  const { sessionId: id, filename, mimeType } = fields;
+  const kept = keepCopy
+    ? putFile({ id, blob, mimeType, filename })
+      .catch((e) => console.warn('[offscreen] could not keep a copy for editing:', e))
+    : Promise.resolve();
+  kept.then(() => chrome.runtime.sendMessage(
+    { target: 'background', action: 'save', url, ...fields },
+    () => void chrome.runtime.lastError
+  ));
+}
+
+function releaseUrl(url) {
+  if (!savedUrls.delete(url)) return;
+  URL.revokeObjectURL(url);
+}
+
+// ─── Uploads ──────────────────────────────────────────────────────────────────
+
+const UPLOAD_PROGRESS_MS = 1000;   // at most one progress report per second
+
+// Uploads a saved file (uploader.js) from its blob URL, or from the copy kept
+// for editing when that's gone. Background hears of progress, retries and the
+// outcome as `uploadStatus` messages for the file's session.
+async function runUpload({ sessionId, url, filename, mimeType, destination }) {
+  const report = (status) => chrome.runtime.sendMessage(
+    { target: 'background', action: 'uploadStatus', sessionId, url, ...status },
+    () => void chrome.runtime.lastError
+  );
+  try {
+    const blob = savedUrls.get(url) || (await getFile(sessionId))?.blob;
+    if (!blob) throw new Error('The recording is no longer kept in the extension');
+    let reportedAt = 0;
+    const { location } = await uploadRecording(blob, { filename, mimeType }, destination, {
+      onProgress: (progress) => {
+        if (Date.now() - reportedAt < UPLOAD_PROGRESS_MS) return;
+        reportedAt = Date.now();
+        report({ status: 'uploading', progress });
+      },
+      onRetry: ({ attempt, error, delay }) => report({ status: 'retrying', attempt, error, retryAt: Date.now() + delay }),
+    });
+    report({ status: 'done', location });
+  } catch (e) {
+    console.warn('[offscreen] upload failed:', e);
+    report({ status: 'failed', error: e.message });
   }
 }
@@ -0,0 +1,288 @@
+// PcmRecorder — a MediaRecorder look-alike for formats MediaRecorder can't
+// produce. Raw PCM comes from the 'pcm-capture' AudioWorklet and is encoded
+// here: WAV as interleaved 16-bit little-endian, MP3 via lamejs.
+//
+// Exposes the subset of the MediaRecorder API offscreen.js relies on:
+// state, start(timeslice), pause(), resume(), stop(), requestData(), ondataavailable, onstop.
+// successor() is its own: see splitRecording() in offscreen.js.
+
+const PCM_CHANNELS = 2;
+
+// Contexts that already have the worklet module — split parts reuse the context
+const workletContexts = new WeakSet();
+
+class PcmRecorder {
+  static async create(audioCtx, source, options) {
+    if (!workletContexts.has(audioCtx)) {
+      await audioCtx.audioWorklet.addModule('pcm-worklet.js');
+      workletContexts.add(audioCtx);
+    }
+    return new PcmRecorder(audioCtx, source, options);
+  }
+
+  // `node` — the worklet node of the recorder this one succeeds, if any
+  constructor(audioCtx, source, { format, bitrate }, node = null) {
+    this.format     = format;
+    this.mimeType   = format === 'mp3' ? 'audio/mpeg' : 'audio/wav';
+    this.sampleRate = audioCtx.sampleRate;
+    this.state      = 'inactive';
+    this.ondataavailable = null;
+    this.onstop          = null;
+
+    this._audioCtx = audioCtx;
+    this._bitrate  = bitrate;
+    this._source   = source;
+    this._pending  = [];
+    this._flushId  = null;
+    this._stopping = false;
+    this._predecessor = null;
+    this._handedOver  = false;
+    this._mp3 = format === 'mp3'
+      ? new lamejs.Mp3Encoder(PCM_CHANNELS, this.sampleRate, bitrate || 192)
+      : null;
+
+    if (node) {
+      this._node = node;   // taken over in start()
+    } else {
+      this._node = new AudioWorkletNode(audioCtx, 'pcm-capture', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: PCM_CHANNELS,
+        channelCountMode: 'explicit',
+      });
+      this._listen();
+      source.connect(this._node);
+    }
+  }
+
+  // A recorder for the next file, on this one's worklet node. Its start() ends
+  // this recorder and takes the PCM over from the next batch on, so the two
+  // files meet exactly — no sample is written twice or lost in between.
+  successor() {
+    const next = new PcmRecorder(this._audioCtx, this._source, { format: this.format, bitrate: this._bitrate }, this._node);
+    next._predecessor = this;
+    return next;
+  }
+
+  start(timeslice = 1000) {
+    if (this._predecessor) {
+      this._predecessor._handOver();
+      this._predecessor = null;
+      this._listen();
+    }
+    this.state = 'recording';
+    this._flushId = setInterval(() => this._emit(), timeslice);
+  }
+
+  pause()  { if (this.state === 'recording') this.state = 'paused'; }
+  resume() { if (this.state === 'paused') this.state = 'recording'; }
+
+  // Emits what's been encoded so far without waiting for the timeslice
+  requestData() { if (this.state !== 'inactive') this._emit(); }
+
+  stop() {
+    if (this.state === 'inactive' || this._stopping) return;
+    this._stopping = true;
+    // Ask the worklet for its partial batch; fall back if the context is gone
+    this._node.port.postMessage('flush');
+    this._stopTimeout = setTimeout(() => this._finish(), 500);
+  }
+
+  /** Builds the final file from every chunk this recorder emitted. */
+  finalize(chunks, tags = null) {
+    return assembleFile(chunks, { mimeType: this.mimeType, sampleRate: this.sampleRate, tags });
+  }
+
+  _listen() {
+    this._node.port.onmessage = (e) => {
+      if (e.data === 'flushed') this._finish();
+      else this._onPcm(e.data);
+    };
+  }
+
+  // Ends the recording with what it has; the node now feeds the successor
+  _handOver() {
+    this._handedOver = true;
+    this._finish();
+  }
+
+  _onPcm(channels) {
+    if (this.state !== 'recording') return;
+    const [left, right] = channels.map(floatTo16);
+    if (this._mp3) {
+      const frame = this._mp3.encodeBuffer(left, right);
+      if (frame.length) this._pending.push(frame);
+    } else {
+      this._pending.push(interleave(left, right));
+    }
+  }
+
+  _emit() {
+    if (this._pending.length === 0) return;
+    const data = new Blob(this._pending, { type: this.mimeType });
+    this._pending = [];
+    this.ondataavailable?.({ data });
+  }
+
+  _finish() {
+    if (this.state === 'inactive') return;
+    clearTimeout(this._stopTimeout);
+    clearInterval(this._flushId);
+    if (!this._handedOver) {
+      this._source.disconnect(this._node);
+      this._node.port.onmessage = null;
+    }
+    if (this._mp3) {
+      const tail = this._mp3.flush();
+      if (tail.length) this._pending.push(tail);
+    }
+    this.state = 'inactive';
+    this._emit();
+    this.onstop?.();
+  }
+}
+
+// ─── File assembly ────────────────────────────────────────────────────────────
+
+// Joins recorded chunks into a playable file. WAV chunks are headerless PCM,
+// so the header is written here once the final data size is known. Also used
+// to rebuild crashed sessions from chunk-store.js, hence the plain-object input.
+// `tags` ({ title, artist, comment, url, date, part }) go in as a LIST/INFO
+// chunk after the WAV data, or an ID3v2 tag in front of the MP3 frames.
+function assembleFile(chunks, { mimeType, sampleRate, tags = null }) {
+  if (mimeType === 'audio/wav') {
+    const dataBytes = chunks.reduce((n, c) => n + c.size, 0);
+    const info = tags ? wavInfoChunk(tags) : new Uint8Array(0);
+    return new Blob([wavHeader(dataBytes, sampleRate, PCM_CHANNELS, info.length), ...chunks, info], { type: mimeType });
+  }
+  if (mimeType === 'audio/mpeg' && tags) {
+    return new Blob([id3Tag(tags), ...chunks], { type: mimeType });
+  }
+  return new Blob(chunks, { type: mimeType });
+}
+
+// ─── PCM helpers ──────────────────────────────────────────────────────────────
+
+function floatTo16(samples) {
+  const out = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    out[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+  }
+  return out;
+}
+
+function interleave(left, right) {
+  const out = new Int16Array(left.length * 2);
+  for (let i = 0; i < left.length; i++) {
+    out[i * 2]     = left[i];
+    out[i * 2 + 1] = right[i];
+  }
+  return out;
+}
+
+// `trailingBytes` — chunks after the data (LIST/INFO) that the RIFF size has to cover.
+// RIFF sizes are uint32, which 48 kHz stereo outgrows after about 6 h 12 min; a
+// bigger file is written as RF64 (EBU Tech 3306): the 32-bit sizes say 0xFFFFFFFF
+// and a ds64 chunk in front of fmt carries the real ones.
+function wavHeader(dataBytes, sampleRate, channels, trailingBytes = 0) {
+  const rf64 = 36 + dataBytes + trailingBytes > 0xffffffff;
+  const ds64Bytes = rf64 ? 36 : 0;
+  const view = new DataView(new ArrayBuffer(44 + ds64Bytes));
+  const str = (off, s) => { for (let i = 0; i < s.length; i++) view.setUint8(off + i, s.charCodeAt(i)); };
+  const blockAlign = channels * 2;
+
+  str(0, rf64 ? 'RF64' : 'RIFF');
+  view.setUint32(4, rf64 ? 0xffffffff : 36 + dataBytes + trailingBytes, true);
+  str(8, 'WAVE');
+  if (rf64) {
+    str(12, 'ds64');
+    view.setUint32(16, 28, true);                                                 // ds64 chunk size
+    view.setBigUint64(20, BigInt(36 + ds64Bytes + dataBytes + trailingBytes), true); // RIFF size
+    view.setBigUint64(28, BigInt(dataBytes), true);                               // data size
+    view.setBigUint64(36, BigInt(Math.floor(dataBytes / blockAlign)), true);      // sample frames
+    view.setUint32(44, 0, true);                                                  // no table entries
+  }
+  const fmt = 12 + ds64Bytes;
+  str(fmt, 'fmt ');
+  view.setUint32(fmt + 4, 16, true);           // fmt chunk size
+  view.setUint16(fmt + 8, 1, true);            // PCM
+  view.setUint16(fmt + 10, channels, true);
+  view.setUint32(fmt + 12, sampleRate, true);
+  view.setUint32(fmt + 16, sampleRate * blockAlign, true);
+  view.setUint16(fmt + 20, blockAlign, true);
+  view.setUint16(fmt + 22, 16, true);          // bits per sample
+  str(fmt + 24, 'data');
+  view.setUint32(fmt + 28, rf64 ? 0xffffffff : dataBytes, true);
+  return view.buffer;
+}
+
+// ─── Tags ─────────────────────────────────────────────────────────────────────
+
+const TAG_SOFTWARE = 'Tab Audio Recorder';
+
+// RIFF INFO has no URL field; ISRC ("source") is the closest. Text is written
+// as UTF-8, which readers of the original Latin-1 spec generally accept.
+function wavInfoChunk(tags) {
+  const enc = new TextEncoder();
+  const fields = [
+    ['INAM', tags.title],
+    ['IART', tags.artist],
+    ['ICMT', tags.comment],
+    ['ISRC', tags.url],
+    ['ICRD', tags.date?.slice(0, 10)],
+    ['ITRK', tags.part && String(tags.part)],
+    ['ISFT', TAG_SOFTWARE],
+  ].filter(([, value]) => value);
+
+  const subchunks = fields.map(([id, value]) => {
+    const text = enc.encode(value);
+    const size = text.length + 1;                 // NUL-terminated
+    const out = new Uint8Array(8 + size + (size % 2));  // word-aligned
+    const view = new DataView(out.buffer);
+    for (let i = 0; i < 4; i++) out[i] = id.charCodeAt(i);
+    view.setUint32(4, size, true);
+    out.set(text, 8);
+    return out;
+  });
+  const bodyBytes = 4 + subchunks.reduce((n, c) => n + c.length, 0);
+  const out = new Uint8Array(8 + bodyBytes);
+  const view = new DataView(out.buffer);
+  out.set([...'LIST'].map(c => c.charCodeAt(0)), 0);
+  view.setUint32(4, bodyBytes, true);
+  out.set([...'INFO'].map(c => c.charCodeAt(0)), 8);
+  let offset = 12;
+  subchunks.forEach((c) => { out.set(c, offset); offset += c.length; });
+  return out;
+}
+
+// ID3v2.4 with UTF-8 text frames; the URL goes in WOAS (official source webpage).
+function id3Tag(tags) {
+  const enc = new TextEncoder();
+  const UTF8 = 3;
+  const frames = [];
+  const frame = (id, ...parts) => {
+    const size = parts.reduce((n, p) => n + p.length, 0);
+    frames.push(new Uint8Array([...id].map(c => c.charCodeAt(0))), syncsafe(size), new Uint8Array(2), ...parts);
+  };
+  const text = (id, value) => { if (value) frame(id, new Uint8Array([UTF8]), enc.encode(value)); };
+
+  text('TIT2', tags.title);
+  text('TPE1', tags.artist);
+  text('TDRC', tags.date?.slice(0, 19));
+  text('TRCK', tags.part && String(tags.part));
+  text('TSSE', TAG_SOFTWARE);
+  if (tags.comment) {
+    // encoding, language, empty description, text
+    frame('COMM', new Uint8Array([UTF8]), enc.encode('eng'), new Uint8Array([0]), enc.encode(tags.comment));
+  }
+  if (tags.url) frame('WOAS', enc.encode(tags.url));
+
+  const size = frames.reduce((n, f) => n + f.length, 0);
+  return new Blob([new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0]), syncsafe(size), ...frames]);
+}
+
+// ID3v2.4 sizes: 28 bits spread over 4 bytes, high bit of each always clear
+function syncsafe(n) {
+  return new Uint8Array([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+}
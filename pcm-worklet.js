@@ -0,0 +1,46 @@
+// AudioWorklet that taps raw PCM from the captured stream and posts it to the
+// offscreen document in batches, where PcmRecorder encodes it to WAV or MP3.
+
+const BATCH_FRAMES = 4096; // ~85 ms at 48 kHz — keeps port traffic low
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.batch = [new Float32Array(BATCH_FRAMES), new Float32Array(BATCH_FRAMES)];
+    this.filled = 0;
+    this.port.onmessage = (e) => {
+      if (e.data === 'flush') {
+        this.post();
+        this.port.postMessage('flushed');
+      }
+    };
+  }
+
+  post() {
+    if (this.filled === 0) return;
+    const out = this.batch.map(ch => ch.slice(0, this.filled));
+    this.port.postMessage(out, out.map(ch => ch.buffer));
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+
+    const frames = input[0].length;
+    let offset = 0;
+    while (offset < frames) {
+      const n = Math.min(frames - offset, BATCH_FRAMES - this.filled);
+      for (let c = 0; c < 2; c++) {
+        const src = input[c] || input[0]; // mono input → duplicate into both channels
+        this.batch[c].set(src.subarray(offset, offset + n), this.filled);
+      }
+      this.filled += n;
+      offset += n;
+      if (this.filled === BATCH_FRAMES) this.post();
+    }
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
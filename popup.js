@@ -7,6 +7,13 @@ let timerBase     = null;
 let timerInterval = null;
 let sizeInterval  = null;
 let currentSize   = 0;
+let currentPart   = null;     // part number while a split recording runs
+let micError      = null;     // why the microphone couldn't be added, if it was asked for
+let mixTabs       = [];       // tabs recorded together — picks while idle, the live mix while recording
+let markers       = [];       // [{ time, label }] dropped during the current recording
+let tags          = null;     // { title, artist, comment, ... } the recording will be tagged with
+let replay        = null;     // { minutes, buffered } while this tab has a replay buffer
+let replayInterval = null;
 
 // ─── Init ─────────────────────────────────────────────────────────────────────
 
@@ -19,30 +26,91 @@ document.addEventListener('DOMContentLoaded', async () => {
   activeTab = tab;
 
   if (tab) {
-    const st = await sendMsg({ action: 'getState', tabId: tab.id });
+    let st = await sendMsg({ action: 'getState', tabId: tab.id });
+    // Opening the popup is the click a start waiting on this tab needed
+    if (!st) {
+      const res = await sendMsg({ action: 'runPendingStart', tabId: tab.id });
+      if (res?.started) st = await sendMsg({ action: 'getState', tabId: tab.id });
+      else if (res?.ok === false) showError({ reason: res.reason, title: res.title, message: res.error });
+    }
     if (st) {
       localState    = st.state;
       elapsedAtPoll = st.elapsed;
       currentSize   = st.size || 0;
+      currentPart   = st.part || null;
+      micError      = st.micError || null;
+      mixTabs       = st.tabs || [];
+      markers       = st.markers || [];
+      tags          = st.tags || null;
       timerBase     = st.state === 'recording' ? Date.now() : null;
     }
   }
 
   renderRecordingUI();
-  if (localState === 'recording') { startTimer(); startSizePolling(); }
+  renderMix();
+  if (localState === 'recording') startTimer();
+  if (localState !== 'idle') startSizePolling();
 
+  loadError();
+  loadRecoverable();
   loadHistory();
+  loadReplay();
+  // Upload statuses arrive as history changes, progress over a port
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.history) loadHistory();
+  });
+  chrome.runtime.connect({ name: 'uploads' }).onMessage.addListener(onUploadProgress);
 
   document.getElementById('btn-start') .addEventListener('click', handleStart);
   document.getElementById('btn-pause') .addEventListener('click', handlePause);
   document.getElementById('btn-resume').addEventListener('click', handleResume);
   document.getElementById('btn-stop')  .addEventListener('click', handleStop);
+  document.getElementById('btn-mix-add').addEventListener('click', handleMixAdd);
+  document.getElementById('marker-form').addEventListener('submit', handleAddMarker);
+  document.getElementById('tag-form').addEventListener('submit', handleTagSubmit);
+  document.getElementById('btn-tag-cancel').addEventListener('click', closeTagForm);
+  document.getElementById('btn-replay-toggle').addEventListener('click', handleReplayToggle);
+  document.getElementById('btn-replay-save').addEventListener('click', handleReplaySave);
+  document.getElementById('btn-library').addEventListener('click', () =>
+    chrome.tabs.create({ url: chrome.runtime.getURL('library.html') })
+  );
+
+  document.getElementById('btn-new-schedule').addEventListener('click', () => openScheduleForm(null));
+  document.getElementById('btn-schedule-cancel').addEventListener('click', closeScheduleForm);
+  document.getElementById('schedule-form').addEventListener('submit', submitScheduleForm);
+  document.getElementById('schedule-end-mode').addEventListener('change', updateScheduleEndFields);
 
   loadSettings();
   document.getElementById('folder-input').addEventListener('input', onFolderInput);
+  document.getElementById('format-select').addEventListener('change', updateFormatFields);
+  document.getElementById('split-select').addEventListener('change', onSplitModeChange);
+  document.getElementById('cb-mic').addEventListener('change', updateMicFields);
+  ['cb-upload', 'upload-type', 'upload-s3-auth'].forEach(id =>
+    document.getElementById(id).addEventListener('change', updateUploadFields)
+  );
+  document.getElementById('btn-mic-permission').addEventListener('click', () =>
+    chrome.tabs.create({ url: chrome.runtime.getURL('mic-permission.html') })
+  );
+  ['tab-gain', 'mic-gain'].forEach(id =>
+    document.getElementById(id).addEventListener('input', updateGainLabels)
+  );
+  PROCESSING_SLIDERS.forEach(id =>
+    document.getElementById(id).addEventListener('input', updateProcessingLabels)
+  );
   document.querySelectorAll('.md3-chip').forEach(chip =>
     chip.addEventListener('click', () => insertAtCursor(chip.dataset.placeholder))
   );
+  document.getElementById('btn-new-profile').addEventListener('click', () => openProfileForm(null));
+  document.getElementById('btn-profile-cancel').addEventListener('click', closeProfileForm);
+  document.getElementById('profile-form').addEventListener('submit', submitProfileForm);
+  document.getElementById('profile-format').addEventListener('change', updateProfileFields);
+  document.getElementById('profile-silence').addEventListener('change', updateProfileFields);
+  document.getElementById('btn-new-rule').addEventListener('click', () => openRuleForm(null));
+  document.getElementById('btn-rule-cancel').addEventListener('click', closeRuleForm);
+  document.getElementById('rule-form').addEventListener('submit', submitRuleForm);
+  document.getElementById('btn-shortcuts').addEventListener('click', () =>
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' })
+  );
   document.getElementById('btn-save-settings').addEventListener('click', saveSettings);
 });
 
@@ -56,19 +124,51 @@ function switchTab(name) {
     p.classList.toggle('active', p.id === `panel-${name}`)
   );
   if (name === 'settings') { loadSettings(); }
+  if (name === 'scheduled') { loadSchedules(); }
 }
 
 // ─── Recording controls ───────────────────────────────────────────────────────
 
+async function handleAddMarker(e) {
+  e.preventDefault();
+  const input = document.getElementById('marker-input');
+  const res = await sendMsg({ action: 'addMarker', tabId: activeTab?.id, label: input.value });
+  if (!res?.ok) return;
+  markers.push(res.marker);
+  input.value = '';
+  renderMarkers();
+}
+
 async function handleStart() {
+  const btnStart = document.getElementById('btn-start');
+  btnStart.disabled = true;
+  showError(null);
+  showMixError('');
+  const picked = mixTabs;
+  const tabs = mixTabs.length > 1 ? mixTabs.map(({ tabId, gain }) => ({ tabId, gain })) : undefined;
+  const res = await sendMsg({ action: 'startRecording', tabs });
+  btnStart.disabled = false;
+  if (res?.ok === false) {
+    showError({ reason: res.reason, title: res.title, message: res.error }, handleStart);
+    loadReplay();
+    return;
+  }
   localState = 'recording'; elapsedAtPoll = 0; currentSize = 0; timerBase = Date.now();
+  markers = []; tags = null;
+  replay = null; clearInterval(replayInterval); // the recording takes a replay buffer's capture over
   renderRecordingUI(); startTimer(); startSizePolling();
-  await sendMsg({ action: 'startRecording' });
+  await refreshMix();
+  renderMix();
+  // The recording went ahead without them
+  if (res?.failedTabs?.length) {
+    const title = (id) => picked.find(t => t.tabId === id)?.title || 'Tab';
+    showMixError(res.failedTabs.map(f => `${title(f.tabId)} not recorded: ${mixFailure(f)}`).join(' · '));
+  }
 }
 
 function handlePause() {
   elapsedAtPoll += Date.now() - timerBase; timerBase = null;
-  stopTimer(); stopSizePolling();
+  stopTimer();
   localState = 'paused'; renderRecordingUI();
   sendMsg({ action: 'pauseRecording', tabId: activeTab?.id });
 }
@@ -79,11 +179,42 @@ function handleResume() {
   sendMsg({ action: 'resumeRecording', tabId: activeTab?.id });
 }
 
-function handleStop() {
+async function handleStop() {
+  const { tagPromptOnStop } = await chrome.storage.sync.get({ tagPromptOnStop: false });
+  if (tagPromptOnStop) openTagForm();
+  else stopRecording(null);
+}
+
+// Asks for the tags before stopping; the recording carries on until it's submitted.
+async function openTagForm() {
+  if (!tags) tags = (await sendMsg({ action: 'getState', tabId: activeTab?.id }))?.tags || {};
+  document.getElementById('tag-title').value   = tags.title   || '';
+  document.getElementById('tag-artist').value  = tags.artist  || '';
+  document.getElementById('tag-comment').value = tags.comment || '';
+  document.getElementById('tag-form').style.display = '';
+  document.getElementById('tag-title').focus();
+}
+
+function closeTagForm() {
+  document.getElementById('tag-form').style.display = 'none';
+}
+
+function handleTagSubmit(e) {
+  e.preventDefault();
+  closeTagForm();
+  stopRecording({
+    title:   document.getElementById('tag-title').value.trim(),
+    artist:  document.getElementById('tag-artist').value.trim(),
+    comment: document.getElementById('tag-comment').value.trim(),
+  });
+}
+
+function stopRecording(stopTags) {
   stopTimer(); stopSizePolling();
-  elapsedAtPoll = 0; timerBase = null; currentSize = 0; localState = 'idle';
-  renderRecordingUI();
-  sendMsg({ action: 'stopRecording', tabId: activeTab?.id });
+  elapsedAtPoll = 0; timerBase = null; currentSize = 0; currentPart = null; localState = 'idle';
+  mixTabs = []; markers = []; tags = null;
+  renderRecordingUI(); renderMix();
+  sendMsg({ action: 'stopRecording', tabId: activeTab?.id, tags: stopTags });
   setTimeout(loadHistory, 3000);
 }
 
@@ -100,12 +231,36 @@ function renderRecordingUI() {
   label.textContent = { idle: 'Idle', recording: 'Recording', paused: 'Paused' }[s] || 'Idle';
   timerEl.className = `md3-timer ${s}`;
   timerEl.textContent = s === 'idle' ? '--:--' : formatTime(currentElapsed());
-  sizeEl.textContent  = s !== 'idle' && currentSize > 0 ? formatBytes(currentSize) : '';
+  sizeEl.textContent  = s !== 'idle' ? sizeLabel() : '';
 
   document.getElementById('btn-start') .style.display = s === 'idle'      ? '' : 'none';
   document.getElementById('btn-pause') .style.display = s === 'recording' ? '' : 'none';
   document.getElementById('btn-resume').style.display = s === 'paused'    ? '' : 'none';
   document.getElementById('btn-stop')  .style.display = s !== 'idle'      ? '' : 'none';
+
+  document.getElementById('marker-form').style.display = s !== 'idle' ? '' : 'none';
+  if (s === 'idle') closeTagForm();
+  renderMarkers();
+
+  const warning = document.getElementById('rec-warning');
+  warning.textContent   = s !== 'idle' && micError ? `Microphone not recorded: ${micError}` : '';
+  warning.style.display = warning.textContent ? '' : 'none';
+
+  renderReplay();
+  document.getElementById('level-meter').style.display = s === 'recording' ? '' : 'none';
+  if (s === 'recording') connectLevels(); else resetLevels();
+}
+
+function renderMarkers() {
+  const list = document.getElementById('marker-list');
+  list.innerHTML = localState === 'idle' ? '' : [...markers].reverse().map(m =>
+    `<div><span class="marker-time">${formatTime(m.time)}</span>${escHtml(m.label)}</div>`
+  ).join('');
+}
+
+function sizeLabel() {
+  const size = currentSize > 0 ? formatBytes(currentSize) : '';
+  return currentPart ? `Part ${currentPart}${size ? ' · ' + size : ''}` : size;
 }
 
 function currentElapsed() {
@@ -124,6 +279,142 @@ function startTimer() {
 
 function stopTimer()  { clearInterval(timerInterval); timerInterval = null; }
 
+// ─── Instant replay ───────────────────────────────────────────────────────────
+
+// Only offered while the tab isn't recording; starting a recording takes the
+// buffer's capture over (background.js).
+async function loadReplay() {
+  replay = activeTab ? await sendMsg({ action: 'getReplay', tabId: activeTab.id }) : null;
+  renderReplay();
+  clearInterval(replayInterval);
+  // The buffer fills up while the popup is open
+  replayInterval = replay ? setInterval(() => {
+    replay.buffered = Math.min(replay.buffered + 1000, replay.minutes * 60 * 1000);
+    renderReplay();
+  }, 1000) : null;
+}
+
+function renderReplay() {
+  const row = document.getElementById('replay-row');
+  row.style.display = localState === 'idle' && activeTab ? '' : 'none';
+  document.getElementById('replay-label').textContent = replay
+    ? `Replay buffer · ${formatTime(replay.buffered)} of ${formatTime(replay.minutes * 60 * 1000)}`
+    : 'Instant replay';
+  document.getElementById('btn-replay-save').style.display = replay ? '' : 'none';
+  document.getElementById('btn-replay-toggle').textContent = replay ? 'Stop' : 'Start buffer';
+}
+
+async function handleReplayToggle() {
+  const res = await sendMsg({ action: replay ? 'stopReplay' : 'startReplay', tabId: activeTab.id });
+  showReplayError(res?.ok === false ? res.error : null);
+  await loadReplay();
+}
+
+async function handleReplaySave(e) {
+  const btn = e.currentTarget;
+  btn.disabled = true;
+  const res = await sendMsg({ action: 'saveReplay', tabId: activeTab.id });
+  btn.disabled = false;
+  showReplayError(res?.ok === false ? res.error : null);
+  // With "keep recording" on, the tab is now recording
+  const st = await sendMsg({ action: 'getState', tabId: activeTab.id });
+  if (st) { syncState(st); startSizePolling(); }
+  await loadReplay();
+  setTimeout(loadHistory, 1000);
+}
+
+function showReplayError(error) {
+  const el = document.getElementById('replay-error');
+  el.textContent = error ? `Replay: ${error}` : '';
+  el.style.display = error ? '' : 'none';
+}
+
+// ─── Level meter ──────────────────────────────────────────────────────────────
+
+// Background passes on every level tick of this tab's recording through a
+// port: { rms, peak } in dBFS (-90 for silence) plus the 16 equalizer bins.
+const METER_FLOOR_DB = -60;    // left end of the bar
+const CLIP_DB        = -0.1;   // a peak this close to full scale is clipping
+const SILENT_DB      = -60;    // nothing above this reads as no signal
+const PEAK_HOLD_MS   = 1500;
+const CLIP_HOLD_MS   = 3000;
+const SILENT_AFTER_MS = 2000;
+
+let levelPort = null;
+let peakHold  = { db: -Infinity, at: 0 };
+let clippedAt = 0;
+let soundAt   = 0;
+let waveform  = [];   // recent peaks, 0–1, newest last — one 2px column each
+
+function connectLevels() {
+  if (levelPort || !activeTab) return;
+  levelPort = chrome.runtime.connect({ name: 'levels' });
+  levelPort.onMessage.addListener(onLevels);
+  levelPort.onDisconnect.addListener(() => { levelPort = null; });
+  levelPort.postMessage({ tabId: activeTab.id });
+  soundAt = Date.now();
+}
+
+function resetLevels() {
+  levelPort?.disconnect();
+  levelPort = null;
+  peakHold  = { db: -Infinity, at: 0 };
+  clippedAt = 0;
+  waveform  = [];
+}
+
+function onLevels({ rms, peak }) {
+  const now = Date.now();
+  if (peak >= peakHold.db || now - peakHold.at > PEAK_HOLD_MS) peakHold = { db: peak, at: now };
+  if (peak >= CLIP_DB) clippedAt = now;
+  if (peak > SILENT_DB) soundAt = now;
+
+  const canvas = document.getElementById('level-wave');
+  waveform.push(Math.pow(10, peak / 20));
+  if (waveform.length > canvas.width / 2) waveform.shift();
+  drawWaveform(canvas);
+
+  const pct = (db) => `${Math.round(100 - meterPosition(db) * 100)}%`;
+  document.getElementById('level-rms').style.clipPath  = `inset(0 ${pct(rms)} 0 0)`;
+  document.getElementById('level-peak').style.clipPath = `inset(0 ${pct(peak)} 0 0)`;
+  document.getElementById('level-hold').style.left = `calc(${meterPosition(peakHold.db) * 100}% - 2px)`;
+  document.getElementById('level-value').textContent =
+    `RMS ${formatDb(rms)} · Peak ${formatDb(peakHold.db)}`;
+
+  const alert = document.getElementById('level-alert');
+  if (now - clippedAt < CLIP_HOLD_MS) {
+    alert.textContent = 'Clipping';
+    alert.className = 'level-alert clip';
+  } else if (now - soundAt > SILENT_AFTER_MS) {
+    alert.textContent = 'No signal';
+    alert.className = 'level-alert silent';
+  } else {
+    alert.textContent = '';
+  }
+}
+
+// 0 at METER_FLOOR_DB, 1 at full scale
+function meterPosition(db) {
+  return Math.min(1, Math.max(0, (db - METER_FLOOR_DB) / -METER_FLOOR_DB));
+}
+
+function formatDb(db) {
+  return db <= METER_FLOOR_DB ? '−∞ dB' : `${db.toFixed(1)} dB`;
+}
+
+// Mirrored peak columns scrolling in from the right; clipped ones in red
+function drawWaveform(canvas) {
+  const ctx = canvas.getContext('2d');
+  const mid = canvas.height / 2;
+  const offset = canvas.width - waveform.length * 2;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  waveform.forEach((amp, i) => {
+    const h = Math.max(1, Math.round(Math.min(1, amp) * mid));
+    ctx.fillStyle = amp >= Math.pow(10, CLIP_DB / 20) ? '#f87171' : '#4ade80';
+    ctx.fillRect(offset + i * 2, mid - h, 1, h * 2);
+  });
+}
+
 // ─── Size polling ─────────────────────────────────────────────────────────────
 
 function startSizePolling() {
@@ -131,29 +422,171 @@ function startSizePolling() {
   sizeInterval = setInterval(async () => {
     if (!activeTab || localState === 'idle') return;
     const st = await sendMsg({ action: 'getState', tabId: activeTab.id });
+    if (st === null || (st && st.state !== localState)) syncState(st);
+    if (localState === 'recording') connectLevels(); // the service worker may have restarted
     if (st?.size !== undefined) {
       currentSize = st.size;
+      currentPart = st.part || null;
+      if ((st.micError || null) !== micError) { micError = st.micError || null; renderRecordingUI(); }
+      if (mixIds(st.tabs) !== mixIds(mixTabs)) { mixTabs = st.tabs || []; renderMix(); }
+      // Markers also come in from the keyboard shortcut
+      if ((st.markers || []).length !== markers.length) { markers = st.markers || []; renderMarkers(); }
       const el = document.getElementById('file-size');
-      if (el) el.textContent = currentSize > 0 ? formatBytes(currentSize) : '';
+      if (el) el.textContent = sizeLabel();
     }
   }, 1000);
 }
 
 function stopSizePolling() { clearInterval(sizeInterval); sizeInterval = null; }
 
+// Background changed state on its own (silence auto-pause/resume/stop) — follow
+// it. Polling keeps running while paused so an automatic resume shows up too.
+function syncState(st) {
+  if (!st) {
+    stopTimer(); stopSizePolling();
+    elapsedAtPoll = 0; timerBase = null; currentSize = 0; currentPart = null; localState = 'idle';
+    mixTabs = []; markers = [];
+    renderRecordingUI(); renderMix();
+    setTimeout(loadHistory, 3000);
+    loadReplay();
+    return;
+  }
+  localState    = st.state;
+  elapsedAtPoll = st.elapsed;
+  timerBase     = st.state === 'recording' ? Date.now() : null;
+  if (st.state === 'recording') startTimer(); else stopTimer();
+  renderRecordingUI();
+}
+
+// ─── Multi-tab mix ───────────────────────────────────────────────────────────
+
+const IC_CLOSE = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18M6 6l12 12"/></svg>`;
+
+// While idle, picked tabs stay here and go out with Start; while recording,
+// every change goes to background and the list follows what it reports.
+async function renderMix() {
+  const section   = document.getElementById('mix-section');
+  const list      = document.getElementById('mix-list');
+  const select    = document.getElementById('mix-add-select');
+  const recording = localState !== 'idle';
+
+  const inMix = new Set(mixTabs.map(t => t.tabId));
+  const candidates = (await chrome.tabs.query({}))
+    .filter(t => t.id !== activeTab?.id && !inMix.has(t.id) && /^(https?|file):/.test(t.url || ''))
+    .sort((a, b) => Number(b.audible) - Number(a.audible));
+
+  section.style.display = candidates.length || mixTabs.length > 1 ? '' : 'none';
+  document.getElementById('mix-header').textContent = recording ? 'Tabs in This Recording' : 'Record Together';
+  document.getElementById('mix-add').style.display = candidates.length ? '' : 'none';
+  select.innerHTML = candidates
+    .map(t => `<option value="${t.id}">${t.audible ? '🔊 ' : ''}${escHtml(t.title || t.url)}</option>`)
+    .join('');
+
+  list.innerHTML = '';
+  // The first tab is the one the recording belongs to — it leaves only by stopping
+  if (mixTabs.length > 1) mixTabs.forEach((t, i) => list.appendChild(mixItem(t, i === 0)));
+}
+
+function mixItem(mixTab, fixed) {
+  const pct  = Math.round(mixTab.gain * 100);
+  const item = document.createElement('div');
+  item.className = 'mix-item';
+  item.innerHTML = `
+    <div class="mix-item-head">
+      <div class="item-title" title="${escHtml(mixTab.title)}">${escHtml(mixTab.title || 'Tab')}</div>
+      ${fixed ? '' : `<button class="md3-icon-btn btn-mix-remove" title="Remove from recording">${IC_CLOSE}</button>`}
+    </div>
+    <div class="md3-slider-row">
+      <label>Level</label>
+      <input type="range" min="0" max="200" step="5" value="${pct}">
+      <output>${pct}%</output>
+    </div>
+  `;
+
+  const range  = item.querySelector('input[type="range"]');
+  const output = item.querySelector('output');
+  range.addEventListener('input', () => { output.textContent = `${range.value}%`; });
+  range.addEventListener('change', () => {
+    mixTab.gain = Number(range.value) / 100;
+    if (localState !== 'idle') {
+      sendMsg({ action: 'setMixGain', tabId: activeTab.id, mixTabId: mixTab.tabId, gain: mixTab.gain });
+    }
+  });
+
+  item.querySelector('.btn-mix-remove')?.addEventListener('click', async () => {
+    if (localState === 'idle') {
+      mixTabs = mixTabs.filter(t => t.tabId !== mixTab.tabId);
+      if (mixTabs.length === 1) mixTabs = [];
+    } else {
+      await sendMsg({ action: 'removeMixTab', tabId: activeTab.id, mixTabId: mixTab.tabId });
+      await refreshMix();
+    }
+    renderMix();
+  });
+  return item;
+}
+
+async function handleMixAdd() {
+  const id = Number(document.getElementById('mix-add-select').value);
+  if (!id || !activeTab) return;
+  showMixError('');
+
+  if (localState === 'idle') {
+    const tab = await chrome.tabs.get(id);
+    if (!mixTabs.length) mixTabs.push({ tabId: activeTab.id, title: activeTab.title, gain: 1 });
+    mixTabs.push({ tabId: id, title: tab.title, gain: 1 });
+  } else {
+    const res = await sendMsg({ action: 'addMixTab', tabId: activeTab.id, mixTabId: id });
+    if (!res?.ok) showMixError(mixFailure(res));
+    await refreshMix();
+  }
+  renderMix();
+}
+
+async function refreshMix() {
+  const st = activeTab && await sendMsg({ action: 'getState', tabId: activeTab.id });
+  mixTabs = st?.tabs || [];
+}
+
+// Chrome only lets a tab be captured once the extension was clicked on it
+function mixFailure(res) {
+  if (res?.reason === 'needs-click') return 'Click the extension on that tab once, then add it here again';
+  return res?.error || 'Could not add the tab';
+}
+
+function showMixError(text) {
+  const el = document.getElementById('mix-error');
+  el.textContent   = text;
+  el.style.display = text ? '' : 'none';
+}
+
+function mixIds(tabs = []) { return tabs.map(t => t.tabId).join(); }
+
 // ─── History ──────────────────────────────────────────────────────────────────
 
+const IC_EDIT = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><circle cx="6" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><path d="M20 4 8.12 15.88M14.47 14.48 20 20M8.12 8.12 12 12"/></svg>`;
 const IC_COPY = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>`;
 
+// The latest few; the rest are a click away in library.html
+const RECENT_COUNT = 20;
+
 async function loadHistory() {
   const container = document.getElementById('history-list');
-  const { history = [] } = await chrome.storage.local.get({ history: [] });
+  const { history: all = [] } = await chrome.storage.local.get({ history: [] });
+  const history = all.slice(0, RECENT_COUNT);
+
+  const libraryBtn = document.getElementById('btn-library');
+  libraryBtn.textContent = `All recordings (${all.length})`;
+  libraryBtn.style.display = all.length ? '' : 'none';
 
   if (!history.length) {
     container.innerHTML = '<div class="history-empty">No recordings yet</div>';
     return;
   }
 
+  // Entries whose file is still kept in chunk-store.js can be opened in the editor
+  const kept = new Set(await listFileIds().catch(() => []));
+
   container.innerHTML = '';
   history.forEach((entry, i) => {
     const wrap = document.createElement('div');
@@ -164,19 +597,26 @@ async function loadHistory() {
       <div class="history-item-body">
         <div class="history-name-row">
           <span class="history-filename" title="${escHtml(entry.filename)}">${escHtml(leafName(entry.filename))}</span>
-          <button class="md3-icon-btn icon-copy" title="Copy file:// link">${IC_COPY}</button>
+          ${kept.has(entry.sessionId) ? `<button class="md3-icon-btn icon-edit" title="Edit">${IC_EDIT}</button>` : ''}
+          ${entry.downloadId !== undefined ? `<button class="md3-icon-btn icon-copy" title="Copy file:// link">${IC_COPY}</button>` : ''}
         </div>
-        <div class="history-meta">${escHtml(entry.domain)} · ${formatTime(entry.duration)} · ${formatDate(entry.timestamp)}</div>
+        <div class="history-meta">${escHtml(entry.domain)} · ${entry.part ? `Part ${entry.part} · ` : ''}${formatTime(entry.duration)} · ${formatDate(entry.timestamp)}${entry.upload ? ` · <span data-upload="${escHtml(entry.sessionId)}">${escHtml(uploadLabel(entry))}</span>` : ''}</div>
+        ${entry.markers?.length ? `<div class="history-markers" title="${escHtml(markerSummary(entry.markers, '\n'))}">${markerSummary(entry.markers, ' · ', true)}</div>` : ''}
       </div>
     `;
 
     // Filename click → show in Finder / Explorer with file highlighted
     item.querySelector('.history-filename').addEventListener('click', () => {
-      chrome.downloads.show(entry.downloadId);
+      if (entry.downloadId !== undefined) chrome.downloads.show(entry.downloadId);
+    });
+
+    // Scissors icon → editor page for trimming and cutting
+    item.querySelector('.icon-edit')?.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`editor.html?id=${encodeURIComponent(entry.sessionId)}`) });
     });
 
     // Copy icon → clipboard with file:// URL
-    item.querySelector('.icon-copy').addEventListener('click', async (e) => {
+    item.querySelector('.icon-copy')?.addEventListener('click', async (e) => {
       await copyFileLink(entry.downloadId, e.currentTarget);
     });
 
@@ -190,6 +630,25 @@ async function loadHistory() {
   });
 }
 
+// sessionId → 0–1, for uploads sending right now (see background.js)
+const uploadProgress = new Map();
+
+function onUploadProgress({ sessionId, progress }) {
+  // Cleared when the entry's status moves on; the history change redraws it
+  if (progress === null) { uploadProgress.delete(sessionId); return; }
+  uploadProgress.set(sessionId, progress);
+  const el = document.querySelector(`[data-upload="${CSS.escape(sessionId)}"]`);
+  if (el) el.textContent = uploadLabel({ sessionId, upload: { status: 'uploading' } });
+}
+
+function uploadLabel({ sessionId, upload: { status, attempt } }) {
+  const progress = uploadProgress.get(sessionId);
+  if (progress !== undefined || status === 'uploading') return `Uploading ${Math.round((progress || 0) * 100)} %`;
+  if (status === 'retrying')  return `Upload attempt ${attempt} soon`;
+  if (status === 'done')      return 'Uploaded';
+  return 'Upload failed';
+}
+
 async function copyFileLink(downloadId, btn) {
   const items = await chrome.downloads.search({ id: downloadId });
   if (!items.length) return;
@@ -200,8 +659,566 @@ async function copyFileLink(downloadId, btn) {
   setTimeout(() => btn.classList.remove('icon-copied'), 1500);
 }
 
+function markerSummary(list, separator, html = false) {
+  return list.map(m => html
+    ? `<span class="marker-time">${formatTime(m.time)}</span>${escHtml(m.label)}`
+    : `${formatTime(m.time)} ${m.label}`
+  ).join(separator);
+}
+
 function leafName(path) { return path.replace(/^.*[/\\]/, ''); }
 
+// ─── Errors ───────────────────────────────────────────────────────────────────
+
+// The last error background reported while the popup was closed
+async function loadError() {
+  const error = await sendMsg({ action: 'getError' });
+  if (!error) return;
+  // Starting this tab again goes through the popup, so the recording shows up here
+  const startsHere = error.retry?.action === 'start' && error.retry.tabId === activeTab?.id && localState === 'idle';
+  showError(error, error.retry && (async () => {
+    if (startsHere) {
+      sendMsg({ action: 'dismissError' });
+      return handleStart();
+    }
+    const res = await sendMsg({ action: 'retryError' });
+    if (res?.ok === false) showError({ reason: res.reason, title: res.title, message: res.error });
+    else { loadRecoverable(); setTimeout(loadHistory, 1500); }
+  }));
+}
+
+// `error`: { reason, title?, message } or null to hide — titles come from background; `retry` runs from the Retry button
+function showError(error, retry = null) {
+  const section = document.getElementById('error-section');
+  section.style.display = error ? '' : 'none';
+  if (!error) return;
+  document.getElementById('error-title').textContent   = error.title || 'Something went wrong';
+  document.getElementById('error-message').textContent = error.message || '';
+  const btnRetry = document.getElementById('btn-error-retry');
+  btnRetry.style.display = retry ? '' : 'none';
+  btnRetry.onclick = retry && (() => { showError(null); retry(); });
+  document.getElementById('btn-error-dismiss').onclick = () => {
+    showError(null);
+    sendMsg({ action: 'dismissError' });
+  };
+}
+
+// ─── Crash recovery ───────────────────────────────────────────────────────────
+
+async function loadRecoverable() {
+  const section  = document.getElementById('recovery-section');
+  const list     = document.getElementById('recovery-list');
+  const sessions = await sendMsg({ action: 'getRecoverable' }) || [];
+
+  section.style.display = sessions.length ? '' : 'none';
+  list.innerHTML = '';
+  sessions.forEach(session => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.innerHTML = `
+      <div class="history-item-body">
+        <div class="recovery-title" title="${escHtml(session.filename)}">${escHtml(session.tabTitle || leafName(session.filename))}</div>
+        <div class="history-meta">${escHtml(session.domain)} · ~${formatTime(session.duration)} · ${formatDate(session.startTime)}</div>
+      </div>
+      <div class="recovery-actions">
+        <button class="md3-btn-text btn-recover">Recover</button>
+        <button class="md3-btn-text btn-discard">Discard</button>
+      </div>
+    `;
+
+    const btnRecover = item.querySelector('.btn-recover');
+    btnRecover.addEventListener('click', async () => {
+      btnRecover.disabled = true;
+      const res = await sendMsg({ action: 'recoverSession', sessionId: session.id });
+      if (res?.ok) {
+        setTimeout(() => { loadRecoverable(); loadHistory(); }, 1500);
+      } else {
+        btnRecover.disabled = false;
+        btnRecover.textContent = 'Retry';
+      }
+    });
+
+    item.querySelector('.btn-discard').addEventListener('click', async () => {
+      await sendMsg({ action: 'discardSession', sessionId: session.id });
+      loadRecoverable();
+    });
+
+    list.appendChild(item);
+  });
+}
+
+// ─── Scheduled recordings ─────────────────────────────────────────────────────
+
+const REPEAT_LABELS = { none: 'Once', daily: 'Daily', weekdays: 'Weekdays', weekly: 'Weekly' };
+
+let editingSchedule = null;   // the schedule open in the form, null for a new one
+
+async function loadSchedules() {
+  const container = document.getElementById('schedule-list');
+  const schedules = await sendMsg({ action: 'getSchedules' }) || [];
+
+  if (!schedules.length) {
+    container.innerHTML = '<div class="history-empty">No scheduled recordings</div>';
+    return;
+  }
+
+  container.innerHTML = '';
+  schedules.forEach((schedule, i) => {
+    const wrap = document.createElement('div');
+    const until = schedule.endTime ? `until ${schedule.endTime}` : `${schedule.durationMin} min`;
+
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.innerHTML = `
+      <div class="history-item-body">
+        <div class="item-title" title="${escHtml(schedule.url)}">${escHtml(schedule.label || schedule.url || 'Scheduled recording')}</div>
+        <div class="history-meta">${formatDate(schedule.start)} · ${REPEAT_LABELS[schedule.repeat] || ''} · ${escHtml(until)}</div>
+      </div>
+      <div class="schedule-actions">
+        <button class="md3-btn-text btn-edit">Edit</button>
+        <button class="md3-btn-text btn-cancel">Cancel</button>
+      </div>
+    `;
+    item.querySelector('.btn-edit').addEventListener('click', () => openScheduleForm(schedule));
+    item.querySelector('.btn-cancel').addEventListener('click', async () => {
+      await sendMsg({ action: 'cancelSchedule', id: schedule.id });
+      loadSchedules();
+    });
+
+    wrap.appendChild(item);
+    if (i < schedules.length - 1) {
+      const div = document.createElement('div');
+      div.className = 'history-divider';
+      wrap.appendChild(div);
+    }
+    container.appendChild(wrap);
+  });
+}
+
+function openScheduleForm(schedule) {
+  editingSchedule = schedule || null;
+  const start = schedule ? new Date(schedule.start) : new Date(Date.now() + 60 * 60 * 1000);
+  document.getElementById('schedule-id').value        = schedule?.id || '';
+  document.getElementById('schedule-label').value     = schedule?.label || '';
+  document.getElementById('schedule-url').value       = schedule?.url ?? activeTab?.url ?? '';
+  document.getElementById('cb-schedule-tab').checked  = schedule ? schedule.tabId != null : false;
+  document.getElementById('schedule-start').value     = toLocalInputValue(start);
+  document.getElementById('schedule-repeat').value    = schedule?.repeat || 'none';
+  document.getElementById('schedule-end-mode').value  = schedule?.endTime ? 'time' : 'duration';
+  document.getElementById('schedule-duration').value  = schedule?.durationMin || 60;
+  document.getElementById('schedule-end').value       = schedule?.endTime || '';
+  document.getElementById('schedule-error').textContent = '';
+  updateScheduleEndFields();
+
+  document.getElementById('schedule-form').style.display = '';
+  document.getElementById('schedule-new').style.display  = 'none';
+}
+
+function closeScheduleForm() {
+  document.getElementById('schedule-form').style.display = 'none';
+  document.getElementById('schedule-new').style.display  = '';
+}
+
+function updateScheduleEndFields() {
+  const byTime = document.getElementById('schedule-end-mode').value === 'time';
+  document.getElementById('schedule-duration-field').style.display = byTime ? 'none' : '';
+  document.getElementById('schedule-end-field').style.display      = byTime ? '' : 'none';
+}
+
+async function submitScheduleForm(e) {
+  e.preventDefault();
+  const errorEl = document.getElementById('schedule-error');
+  const useTab  = document.getElementById('cb-schedule-tab').checked;
+  const url     = document.getElementById('schedule-url').value.trim();
+  const byTime  = document.getElementById('schedule-end-mode').value === 'time';
+  const endTime = document.getElementById('schedule-end').value;
+  const start   = new Date(document.getElementById('schedule-start').value).getTime();
+
+  if (!url && !useTab) { errorEl.textContent = 'Enter a URL or use this tab'; return; }
+  if (Number.isNaN(start)) { errorEl.textContent = 'Pick a start time'; return; }
+  if (byTime && !endTime) { errorEl.textContent = 'Pick a stop time'; return; }
+
+  const schedule = {
+    id:          document.getElementById('schedule-id').value || null,
+    label:       document.getElementById('schedule-label').value.trim(),
+    url:         url || (useTab ? activeTab?.url : ''),
+    // An edited schedule keeps the tab it was made for, not the one the popup is on now
+    tabId:       useTab ? editingSchedule?.tabId ?? activeTab?.id ?? null : null,
+    start,
+    repeat:      document.getElementById('schedule-repeat').value,
+    durationMin: byTime ? null : Math.max(1, Number(document.getElementById('schedule-duration').value) || 60),
+    endTime:     byTime ? endTime : null,
+  };
+
+  const res = await sendMsg({ action: 'saveSchedule', schedule });
+  if (!res?.ok) { errorEl.textContent = res?.error || 'Could not save schedule'; return; }
+  closeScheduleForm();
+  loadSchedules();
+}
+
+// datetime-local wants local time without a zone: YYYY-MM-DDTHH:MM
+function toLocalInputValue(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// ─── Site profiles ────────────────────────────────────────────────────────────
+
+// Profiles live in storage.sync next to the settings they override; see
+// getSettings() in background.js. Saved on their own, not by "Save settings".
+
+async function getProfiles() {
+  const { profiles } = await chrome.storage.sync.get({ profiles: [] });
+  return profiles;
+}
+
+function profileSummary(profile) {
+  const o = profile.settings || {};
+  return [
+    profile.match,
+    o.format && o.format.toUpperCase(),
+    o.saveFolder && `${o.saveFolder}/`,
+    o.filenameMask && 'own mask',
+    'silenceTrim' in o && 'own silence',
+    profile.autoStart && 'auto-start',
+  ].filter(Boolean).join(' · ');
+}
+
+async function loadProfiles() {
+  const container = document.getElementById('profile-list');
+  const profiles = await getProfiles();
+  container.innerHTML = '';
+  profiles.forEach((profile) => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.innerHTML = `
+      <div class="history-item-body">
+        <div class="item-title">${escHtml(profile.name || profile.match)}</div>
+        <div class="history-meta">${escHtml(profileSummary(profile))}</div>
+      </div>
+      <div class="schedule-actions">
+        <button class="md3-btn-text btn-edit">Edit</button>
+        <button class="md3-btn-text btn-delete">Delete</button>
+      </div>
+    `;
+    item.querySelector('.btn-edit').addEventListener('click', () => openProfileForm(profile));
+    item.querySelector('.btn-delete').addEventListener('click', async () => {
+      await chrome.storage.sync.set({ profiles: (await getProfiles()).filter(p => p.id !== profile.id) });
+      loadProfiles();
+    });
+    container.appendChild(item);
+  });
+}
+
+function openProfileForm(profile) {
+  const o = profile?.settings || {};
+  let match = profile?.match;
+  if (match === undefined) {
+    try { match = new URL(activeTab?.url).hostname.replace(/^www\./, ''); } catch { match = ''; }
+  }
+  document.getElementById('profile-id').value       = profile?.id || '';
+  document.getElementById('profile-name').value     = profile?.name || '';
+  document.getElementById('profile-match').value    = match;
+  document.getElementById('profile-mask').value     = o.filenameMask || '';
+  document.getElementById('profile-folder').value   = o.saveFolder || '';
+  document.getElementById('profile-format').value   = o.format || '';
+  document.getElementById('profile-bitrate').value  = o.mp3Bitrate ? String(o.mp3Bitrate) : '';
+  document.getElementById('profile-silence').value  = 'silenceTrim' in o ? 'custom' : '';
+  document.getElementById('cb-profile-pause').checked     = Boolean(o.silenceAutoPause);
+  document.getElementById('cb-profile-stop').checked      = Boolean(o.silenceAutoStop);
+  document.getElementById('cb-profile-trim').checked      = Boolean(o.silenceTrim);
+  document.getElementById('cb-profile-autostart').checked = Boolean(profile?.autoStart);
+  document.getElementById('profile-error').textContent = '';
+  updateProfileFields();
+
+  document.getElementById('profile-form').style.display    = '';
+  document.getElementById('btn-new-profile').style.display = 'none';
+}
+
+function closeProfileForm() {
+  document.getElementById('profile-form').style.display    = 'none';
+  document.getElementById('btn-new-profile').style.display = '';
+}
+
+function updateProfileFields() {
+  const format = document.getElementById('profile-format').value;
+  document.getElementById('profile-bitrate-field').style.display = format === 'mp3' ? '' : 'none';
+  document.getElementById('profile-silence-fields').style.display =
+    document.getElementById('profile-silence').value === 'custom' ? '' : 'none';
+}
+
+async function submitProfileForm(e) {
+  e.preventDefault();
+  const errorEl = document.getElementById('profile-error');
+  const match = document.getElementById('profile-match').value.trim();
+  if (!match) { errorEl.textContent = 'Enter a site or URL pattern'; return; }
+
+  // Only what's set here overrides the settings; everything else follows them
+  const format = document.getElementById('profile-format').value;
+  const settings = {};
+  const mask   = document.getElementById('profile-mask').value.trim();
+  const folder = document.getElementById('profile-folder').value.trim();
+  if (mask)   settings.filenameMask = mask;
+  if (folder) settings.saveFolder   = folder;
+  if (format) settings.format       = format;
+  if (format === 'mp3' && document.getElementById('profile-bitrate').value) {
+    settings.mp3Bitrate = Number(document.getElementById('profile-bitrate').value);
+  }
+  if (document.getElementById('profile-silence').value === 'custom') {
+    settings.silenceAutoPause = document.getElementById('cb-profile-pause').checked;
+    settings.silenceAutoStop  = document.getElementById('cb-profile-stop').checked;
+    settings.silenceTrim      = document.getElementById('cb-profile-trim').checked;
+  }
+
+  const profile = {
+    id:        document.getElementById('profile-id').value || crypto.randomUUID(),
+    name:      document.getElementById('profile-name').value.trim(),
+    match,
+    autoStart: document.getElementById('cb-profile-autostart').checked,
+    settings,
+  };
+  const profiles = await getProfiles();
+  const i = profiles.findIndex(p => p.id === profile.id);
+  if (i >= 0) profiles[i] = profile; else profiles.push(profile);
+  try {
+    await chrome.storage.sync.set({ profiles });
+  } catch (err) {
+    errorEl.textContent = err.message || 'Could not save profile';
+    return;
+  }
+  closeProfileForm();
+  loadProfiles();
+}
+
+// ─── Auto-record rules ────────────────────────────────────────────────────────
+
+// Rules are saved on their own, like profiles; the on/off switch is a normal setting.
+
+async function getRules() {
+  const { autoRules } = await chrome.storage.sync.get({ autoRules: [] });
+  return autoRules;
+}
+
+async function loadRules() {
+  const container = document.getElementById('rule-list');
+  const rules = await getRules();
+  container.innerHTML = '';
+  rules.forEach((rule) => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.innerHTML = `
+      <div class="history-item-body">
+        <div class="item-title">${escHtml(rule.match)}</div>
+        <div class="history-meta">Stops after ${rule.stopAfterSec} s of silence · ${rule.cooldownMin} min cooldown</div>
+      </div>
+      <div class="schedule-actions">
+        <button class="md3-btn-text btn-edit">Edit</button>
+        <button class="md3-btn-text btn-delete">Delete</button>
+      </div>
+    `;
+    item.querySelector('.btn-edit').addEventListener('click', () => openRuleForm(rule));
+    item.querySelector('.btn-delete').addEventListener('click', async () => {
+      await chrome.storage.sync.set({ autoRules: (await getRules()).filter(r => r.id !== rule.id) });
+      loadRules();
+    });
+    container.appendChild(item);
+  });
+}
+
+function openRuleForm(rule) {
+  let match = rule?.match;
+  if (match === undefined) {
+    try { match = new URL(activeTab?.url).hostname.replace(/^www\./, ''); } catch { match = ''; }
+  }
+  document.getElementById('rule-id').value       = rule?.id || '';
+  document.getElementById('rule-match').value    = match;
+  document.getElementById('rule-stop').value     = rule?.stopAfterSec ?? 30;
+  document.getElementById('rule-cooldown').value = rule?.cooldownMin ?? 5;
+  document.getElementById('rule-error').textContent = '';
+
+  document.getElementById('rule-form').style.display    = '';
+  document.getElementById('btn-new-rule').style.display = 'none';
+}
+
+function closeRuleForm() {
+  document.getElementById('rule-form').style.display    = 'none';
+  document.getElementById('btn-new-rule').style.display = '';
+}
+
+async function submitRuleForm(e) {
+  e.preventDefault();
+  const errorEl = document.getElementById('rule-error');
+  const match = document.getElementById('rule-match').value.trim();
+  if (!match) { errorEl.textContent = 'Enter a site or URL pattern'; return; }
+
+  const rule = {
+    id:           document.getElementById('rule-id').value || crypto.randomUUID(),
+    match,
+    stopAfterSec: Math.max(30, Number(document.getElementById('rule-stop').value) || 30),
+    cooldownMin:  Math.max(0, Number(document.getElementById('rule-cooldown').value) || 0),
+  };
+  const rules = await getRules();
+  const i = rules.findIndex(r => r.id === rule.id);
+  if (i >= 0) rules[i] = rule; else rules.push(rule);
+  try {
+    await chrome.storage.sync.set({ autoRules: rules });
+  } catch (err) {
+    errorEl.textContent = err.message || 'Could not save rule';
+    return;
+  }
+  closeRuleForm();
+  loadRules();
+}
+
+// ─── External control ─────────────────────────────────────────────────────────
+
+const API_CLIENT_STATUS = { pending: 'Waiting for your answer', allowed: 'Allowed', blocked: 'Blocked' };
+
+// Callers of the external API (see background.js); each asks once, then is
+// allowed or blocked here or from the notification it raised.
+async function getApiClients() {
+  const { apiClients } = await chrome.storage.local.get({ apiClients: [] });
+  return apiClients;
+}
+
+// Background owns the list, so answers here don't race a caller asking; null removes
+async function setApiClient(origin, status) {
+  await sendMsg({ action: 'setApiClient', origin, status });
+  loadApiClients();
+}
+
+async function loadApiClients() {
+  const container = document.getElementById('api-client-list');
+  const clients = await getApiClients();
+  document.getElementById('api-client-empty').style.display = clients.length ? 'none' : '';
+  container.innerHTML = '';
+  clients.forEach((client) => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.innerHTML = `
+      <div class="history-item-body">
+        <div class="item-title" title="${escHtml(client.origin)}">${escHtml(client.origin)}</div>
+        <div class="history-meta">${API_CLIENT_STATUS[client.status] || client.status} · since ${formatDate(client.requested)}</div>
+      </div>
+      <div class="schedule-actions">
+        <button class="md3-btn-text btn-toggle">${client.status === 'allowed' ? 'Block' : 'Allow'}</button>
+        <button class="md3-btn-text btn-delete">Remove</button>
+      </div>
+    `;
+    const status = client.status === 'allowed' ? 'blocked' : 'allowed';
+    item.querySelector('.btn-toggle').addEventListener('click', () => setApiClient(client.origin, status));
+    item.querySelector('.btn-delete').addEventListener('click', () => setApiClient(client.origin, null));
+    container.appendChild(item);
+  });
+}
+
+// ─── Upload destination ───────────────────────────────────────────────────────
+
+// Kept in storage.local, apart from the synced settings, because of the
+// credentials; the destination's shape is described in uploader.js.
+
+const UPLOAD_SETTINGS = { uploadEnabled: false, uploadSkipDownload: false, uploadDestination: null };
+
+async function loadUploadSettings() {
+  const { uploadEnabled, uploadSkipDownload, uploadDestination: d } = await chrome.storage.local.get(UPLOAD_SETTINGS);
+  const set = (id, value) => { document.getElementById(id).value = value ?? ''; };
+  document.getElementById('cb-upload').checked      = uploadEnabled;
+  document.getElementById('cb-upload-skip').checked = uploadSkipDownload;
+  set('upload-type', d?.type || 'http');
+  set('upload-http-url', d?.type === 'http' ? d.url : '');
+  set('upload-http-method', d?.method || 'PUT');
+  set('upload-dav-url', d?.type === 'webdav' ? d.url : '');
+  set('upload-dav-user', d?.username);
+  set('upload-dav-password', d?.password);
+  set('upload-s3-auth', d?.auth || 'keys');
+  set('upload-s3-prefix', d?.prefix);
+  set('upload-s3-endpoint', d?.endpoint);
+  set('upload-s3-bucket', d?.bucket);
+  set('upload-s3-region', d?.region);
+  set('upload-s3-key', d?.accessKeyId);
+  set('upload-s3-secret', d?.secretAccessKey);
+  set('upload-s3-presign', d?.presignUrl);
+  document.getElementById('cb-upload-s3-path').checked = d?.pathStyle ?? true;
+  set('upload-headers', (d?.headers || []).map(([name, value]) => `${name}: ${value}`).join('\n'));
+  showUploadError('');
+  updateUploadFields();
+}
+
+function updateUploadFields() {
+  const type = document.getElementById('upload-type').value;
+  const auth = document.getElementById('upload-s3-auth').value;
+  document.getElementById('upload-fields').style.display = document.getElementById('cb-upload').checked ? '' : 'none';
+  document.querySelectorAll('.upload-type').forEach(el => { el.style.display = el.dataset.type === type ? '' : 'none'; });
+  document.querySelectorAll('.upload-s3-auth').forEach(el => { el.style.display = el.dataset.auth === auth ? '' : 'none'; });
+  document.querySelector('.upload-headers').style.display =
+    type === 'http' || (type === 's3' && auth === 'presigned') ? '' : 'none';
+}
+
+// The fields as storage.local values, plus `error` when the destination is incomplete
+function readUploadSettings() {
+  const value = (id) => document.getElementById(id).value.trim();
+  const type = value('upload-type');
+  const headers = value('upload-headers').split('\n')
+    .map(line => line.match(/^([^:]+):(.*)$/))
+    .filter(Boolean)
+    .map(([, name, v]) => [name.trim(), v.trim()]);
+  const destination =
+    type === 'http' ? { type, url: value('upload-http-url'), method: value('upload-http-method'), headers }
+    : type === 'webdav' ? { type, url: value('upload-dav-url'), username: value('upload-dav-user'), password: document.getElementById('upload-dav-password').value }
+    : value('upload-s3-auth') === 'presigned'
+      ? { type, auth: 'presigned', presignUrl: value('upload-s3-presign'), prefix: value('upload-s3-prefix'), headers }
+      : {
+        type, auth: 'keys', prefix: value('upload-s3-prefix'),
+        endpoint: value('upload-s3-endpoint'), bucket: value('upload-s3-bucket'), region: value('upload-s3-region') || 'us-east-1',
+        accessKeyId: value('upload-s3-key'), secretAccessKey: document.getElementById('upload-s3-secret').value,
+        pathStyle: document.getElementById('cb-upload-s3-path').checked,
+      };
+  const urls = uploadUrls(destination);
+  let error = null;
+  const isHttp = (url) => { try { return /^https?:$/.test(new URL(url).protocol); } catch { return false; } };
+  if (!urls.every(isHttp)) error = 'Enter the destination’s http:// or https:// URL';
+  else if (type === 's3' && destination.auth === 'keys' && !(destination.bucket && destination.accessKeyId && destination.secretAccessKey)) {
+    error = 'Enter the bucket and both keys';
+  }
+  return {
+    uploadEnabled: document.getElementById('cb-upload').checked,
+    uploadSkipDownload: document.getElementById('cb-upload-skip').checked,
+    uploadDestination: destination,
+    error,
+  };
+}
+
+function uploadUrls(destination) {
+  if (destination.type !== 's3') return [destination.url];
+  return [destination.auth === 'presigned' ? destination.presignUrl : destination.endpoint];
+}
+
+// Host permissions for the destination, so uploads don't depend on the server's
+// CORS headers. A presigned URL's storage host isn't known in advance; that one
+// has to allow the extension itself.
+function uploadOrigins(destination) {
+  return uploadUrls(destination).flatMap((url) => {
+    const { protocol, hostname } = new URL(url);
+    const virtualHosted = destination.type === 's3' && destination.auth === 'keys' && !destination.pathStyle;
+    return [`${protocol}//${hostname}/*`, ...(virtualHosted ? [`${protocol}//*.${hostname}/*`] : [])];
+  });
+}
+
+async function saveUploadSettings({ error, ...upload }, access) {
+  if (upload.uploadEnabled && error) {
+    showUploadError(`${error}. Upload settings weren’t saved.`);
+    return;
+  }
+  await chrome.storage.local.set(upload);
+  showUploadError(await access ? '' : 'Access to the server wasn’t granted; uploads only work if it allows this extension (CORS).');
+}
+
+function showUploadError(text) {
+  const el = document.getElementById('upload-error');
+  el.textContent   = text;
+  el.style.display = text ? '' : 'none';
+}
+
 // ─── Settings ─────────────────────────────────────────────────────────────────
 
 async function loadSettings() {
@@ -209,11 +1226,115 @@ async function loadSettings() {
     filenameMask: 'recording-{title}-{date}',
     saveFolder: '',
     groupByDomain: false,
+    format: 'webm',
+    mp3Bitrate: 192,
+    splitMode: 'off',
+    splitMinutes: 60,
+    splitMegabytes: 500,
+    silenceThresholdDb: -50,
+    silenceAutoPause: false,
+    silencePauseSeconds: 5,
+    silenceAutoStop: false,
+    silenceStopMinutes: 10,
+    silenceTrim: false,
+    micEnabled: false,
+    micDeviceId: '',
+    micMode: 'mix',
+    tabGain: 1,
+    micGain: 1,
+    inputGainDb: 0,
+    eqLow: 0,
+    eqMid: 0,
+    eqHigh: 0,
+    compressor: false,
+    normalize: false,
+    targetLufs: -16,
+    chapterFormat: 'vtt',
+    keepForEditing: false,
+    notifyOnSave: true,
+    tagArtist: '',
+    tagComment: '',
+    tagPromptOnStop: false,
+    autoRecord: false,
+    replayMinutes: 5,
+    replayContinue: false,
   });
   document.getElementById('mask-input').value         = result.filenameMask;
   document.getElementById('folder-input').value       = result.saveFolder;
   document.getElementById('cb-domain-groups').checked = result.groupByDomain;
+  document.getElementById('cb-keep-copies').checked   = result.keepForEditing;
+  document.getElementById('cb-notify-save').checked   = result.notifyOnSave;
+  document.getElementById('format-select').value      = result.format;
+  document.getElementById('bitrate-select').value     = String(result.mp3Bitrate);
+  document.getElementById('split-select').value       = result.splitMode;
+  document.getElementById('chapter-select').value     = result.chapterFormat;
+  document.getElementById('tag-artist-input').value   = result.tagArtist;
+  document.getElementById('tag-comment-input').value  = result.tagComment;
+  document.getElementById('cb-tag-prompt').checked    = result.tagPromptOnStop;
+  document.getElementById('cb-auto-record').checked   = result.autoRecord;
+  document.getElementById('replay-minutes').value     = result.replayMinutes;
+  document.getElementById('cb-replay-continue').checked = result.replayContinue;
+  document.getElementById('silence-threshold').value     = result.silenceThresholdDb;
+  document.getElementById('cb-silence-pause').checked    = result.silenceAutoPause;
+  document.getElementById('silence-pause-seconds').value = result.silencePauseSeconds;
+  document.getElementById('cb-silence-stop').checked     = result.silenceAutoStop;
+  document.getElementById('silence-stop-minutes').value  = result.silenceStopMinutes;
+  document.getElementById('cb-silence-trim').checked     = result.silenceTrim;
+  document.getElementById('cb-mic').checked   = result.micEnabled;
+  document.getElementById('mic-mode').value   = result.micMode;
+  document.getElementById('tab-gain').value   = Math.round(result.tabGain * 100);
+  document.getElementById('mic-gain').value   = Math.round(result.micGain * 100);
+  updateGainLabels();
+  updateMicFields();
+  document.getElementById('input-gain').value   = result.inputGainDb;
+  document.getElementById('eq-low').value       = result.eqLow;
+  document.getElementById('eq-mid').value       = result.eqMid;
+  document.getElementById('eq-high').value      = result.eqHigh;
+  document.getElementById('cb-compressor').checked = result.compressor;
+  document.getElementById('cb-normalize').checked  = result.normalize;
+  document.getElementById('target-lufs').value     = result.targetLufs;
+  updateProcessingLabels();
+  loadMicDevices(result.micDeviceId);
+  loadShortcuts();
+  loadProfiles();
+  loadRules();
+  loadApiClients();
+  loadUploadSettings();
+  splitLimits = { duration: result.splitMinutes, size: result.splitMegabytes };
   updateFolderHint();
+  updateFormatFields();
+  updateSplitFields();
+}
+
+// Minutes and megabytes share one input; keep both so switching modes doesn't lose either
+let splitLimits = { duration: 60, size: 500 };
+
+function onSplitModeChange() {
+  const input = document.getElementById('split-limit-input');
+  const previous = input.dataset.mode;
+  if (previous in splitLimits) splitLimits[previous] = Number(input.value) || splitLimits[previous];
+  updateSplitFields();
+}
+
+function updateSplitFields() {
+  const mode  = document.getElementById('split-select').value;
+  const input = document.getElementById('split-limit-input');
+  document.getElementById('split-limit-field').style.display = mode === 'off' ? 'none' : '';
+  document.getElementById('split-limit-label').textContent = mode === 'size' ? 'Megabytes' : 'Minutes';
+  input.dataset.mode = mode;
+  if (mode in splitLimits) input.value = splitLimits[mode];
+}
+
+const FORMAT_HINTS = {
+  webm: 'Smallest files; not every editor can open WebM',
+  wav:  'Uncompressed — about 11 MB per minute',
+  mp3:  'Plays everywhere; encoded while recording',
+};
+
+function updateFormatFields() {
+  const format = document.getElementById('format-select').value;
+  document.getElementById('bitrate-field').style.display = format === 'mp3' ? '' : 'none';
+  document.getElementById('format-hint').textContent = FORMAT_HINTS[format] || '';
 }
 
 function onFolderInput() { updateFolderHint(); }
@@ -231,16 +1352,112 @@ function updateFolderHint() {
 }
 
 async function saveSettings() {
+  // Host access has to be asked for first, while the click still counts as a user gesture
+  const upload = readUploadSettings();
+  const access = upload.uploadEnabled && !upload.error
+    ? chrome.permissions.request({ origins: uploadOrigins(upload.uploadDestination) }).catch(() => false)
+    : Promise.resolve(true);
+  const uploadSaved = saveUploadSettings(upload, access);
   const mask          = document.getElementById('mask-input').value;
   const folder        = document.getElementById('folder-input').value.trim();
   const groupByDomain = document.getElementById('cb-domain-groups').checked;
-  await chrome.storage.sync.set({ filenameMask: mask, saveFolder: folder, groupByDomain });
+  const format        = document.getElementById('format-select').value;
+  const mp3Bitrate    = Number(document.getElementById('bitrate-select').value);
+  const splitMode     = document.getElementById('split-select').value;
+  onSplitModeChange(); // fold the visible limit into splitLimits
+  const numberOr = (id, fallback) => {
+    const n = Number(document.getElementById(id).value);
+    return Number.isFinite(n) && document.getElementById(id).value !== '' ? n : fallback;
+  };
+  await chrome.storage.sync.set({
+    filenameMask: mask, saveFolder: folder, groupByDomain, format, mp3Bitrate,
+    splitMode, splitMinutes: splitLimits.duration, splitMegabytes: splitLimits.size,
+    chapterFormat:       document.getElementById('chapter-select').value,
+    keepForEditing:      document.getElementById('cb-keep-copies').checked,
+    notifyOnSave:        document.getElementById('cb-notify-save').checked,
+    tagArtist:           document.getElementById('tag-artist-input').value.trim(),
+    tagComment:          document.getElementById('tag-comment-input').value.trim(),
+    tagPromptOnStop:     document.getElementById('cb-tag-prompt').checked,
+    autoRecord:          document.getElementById('cb-auto-record').checked,
+    replayMinutes:       Math.min(60, Math.max(1, numberOr('replay-minutes', 5))),
+    replayContinue:      document.getElementById('cb-replay-continue').checked,
+    silenceThresholdDb:  Math.min(0, numberOr('silence-threshold', -50)),
+    silenceAutoPause:    document.getElementById('cb-silence-pause').checked,
+    silencePauseSeconds: Math.max(1, numberOr('silence-pause-seconds', 5)),
+    silenceAutoStop:     document.getElementById('cb-silence-stop').checked,
+    silenceStopMinutes:  Math.max(1, numberOr('silence-stop-minutes', 10)),
+    silenceTrim:         document.getElementById('cb-silence-trim').checked,
+    micEnabled:          document.getElementById('cb-mic').checked,
+    micDeviceId:         document.getElementById('mic-device').value,
+    micMode:             document.getElementById('mic-mode').value,
+    tabGain:             Number(document.getElementById('tab-gain').value) / 100,
+    micGain:             Number(document.getElementById('mic-gain').value) / 100,
+    inputGainDb:         Number(document.getElementById('input-gain').value),
+    eqLow:               Number(document.getElementById('eq-low').value),
+    eqMid:               Number(document.getElementById('eq-mid').value),
+    eqHigh:              Number(document.getElementById('eq-high').value),
+    compressor:          document.getElementById('cb-compressor').checked,
+    normalize:           document.getElementById('cb-normalize').checked,
+    targetLufs:          Math.min(-6, Math.max(-36, numberOr('target-lufs', -16))),
+  });
+  await uploadSaved;
   const btn = document.getElementById('btn-save-settings');
   btn.textContent = '✓ Saved';
   btn.classList.add('saved');
   setTimeout(() => { btn.textContent = 'Save settings'; btn.classList.remove('saved'); }, 1500);
 }
 
+function updateMicFields() {
+  document.getElementById('mic-fields').style.display = document.getElementById('cb-mic').checked ? '' : 'none';
+}
+
+function updateGainLabels() {
+  ['tab-gain', 'mic-gain'].forEach(id => {
+    document.getElementById(`${id}-value`).textContent = `${document.getElementById(id).value}%`;
+  });
+}
+
+const PROCESSING_SLIDERS = ['input-gain', 'eq-low', 'eq-mid', 'eq-high'];
+
+function updateProcessingLabels() {
+  PROCESSING_SLIDERS.forEach(id => {
+    const db = Number(document.getElementById(id).value);
+    document.getElementById(`${id}-value`).textContent = `${db > 0 ? '+' : ''}${db} dB`;
+  });
+}
+
+// Device labels stay empty until the extension has microphone permission,
+// which has to be granted from a tab (see mic-permission.html).
+async function loadMicDevices(selectedId) {
+  const select  = document.getElementById('mic-device');
+  const devices = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'audioinput');
+  const granted = devices.some(d => d.label);
+
+  select.innerHTML = '<option value="">System default</option>';
+  devices
+    .filter(d => d.deviceId && d.deviceId !== 'default')
+    .forEach((d, i) => {
+      const opt = document.createElement('option');
+      opt.value = d.deviceId;
+      opt.textContent = d.label || `Microphone ${i + 1}`;
+      select.appendChild(opt);
+    });
+  select.value = [...select.options].some(o => o.value === selectedId) ? selectedId : '';
+  document.getElementById('btn-mic-permission').style.display = granted ? 'none' : '';
+}
+
+// Shortcuts are assigned by Chrome (chrome://extensions/shortcuts); show what's set
+async function loadShortcuts() {
+  const list = document.getElementById('shortcut-list');
+  const commands = (await chrome.commands.getAll()).filter(c => c.description);
+  list.innerHTML = commands.map(c => `
+    <div class="shortcut-row">
+      <span>${escHtml(c.description)}</span>
+      <kbd>${escHtml(c.shortcut || 'Not set')}</kbd>
+    </div>
+  `).join('');
+}
+
 function insertAtCursor(text) {
   const input = document.getElementById('mask-input');
   const s = input.selectionStart, e = input.selectionEnd;
@@ -0,0 +1,244 @@
+// Copies a saved recording to the upload destination set in the popup. Runs in
+// the offscreen document, which holds the file's Blob.
+//
+// Destinations (storage.local `uploadDestination`):
+//   { type: 'http',   url, method, headers }    — PUT the file as the body, or POST
+//                                                 it as multipart field `file`
+//   { type: 'webdav', url, username, password } — PUT under the folder at `url`,
+//                                                 creating subfolders as needed
+//   { type: 's3',     endpoint, region, bucket, prefix, pathStyle, auth, ... }
+//       auth 'keys'      — accessKeyId / secretAccessKey, requests signed here (SigV4)
+//       auth 'presigned' — presignUrl answers POST { key, contentType, size } with
+//                          { url, headers? }, a presigned PUT for that key
+// `headers` ([[name, value]]) go with HTTP requests and presign requests. In an
+// HTTP url, {filename} stands for the file's name and {path} for its path.
+//
+// Attempts that fail on the network, a timeout or a 408 / 429 / 5xx are made
+// again after a pause that doubles each time; other failures are final.
+
+const UPLOAD_ATTEMPTS       = 5;
+const UPLOAD_BACKOFF_MS     = 2000;
+const UPLOAD_BACKOFF_MAX_MS = 60000;
+const UPLOAD_STALL_MS       = 60000;   // no bytes either way for this long times a request out
+
+class UploadError extends Error {
+  constructor(message, retryable = false) {
+    super(message);
+    this.retryable = retryable;
+  }
+}
+
+// `file`: { filename, mimeType } — filename is the path it was saved under.
+// `onProgress(fraction)` follows the bytes sent; `onRetry({ attempt, error, delay })`
+// is called before each new attempt. Resolves to { location } — where the file went.
+async function uploadRecording(blob, file, destination, { onProgress = () => {}, onRetry = () => {} } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await uploadOnce(blob, file, destination, onProgress);
+    } catch (e) {
+      if (!(e instanceof UploadError) || !e.retryable || attempt >= UPLOAD_ATTEMPTS) throw e;
+      const delay = Math.min(UPLOAD_BACKOFF_MAX_MS, UPLOAD_BACKOFF_MS * 2 ** (attempt - 1));
+      onRetry({ attempt: attempt + 1, error: e.message, delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function uploadOnce(blob, file, destination, onProgress) {
+  switch (destination?.type) {
+    case 'http':   return uploadHttp(blob, file, destination, onProgress);
+    case 'webdav': return uploadWebdav(blob, file, destination, onProgress);
+    case 's3':     return uploadS3(blob, file, destination, onProgress);
+    default:       throw new UploadError(`Unknown upload destination: ${destination?.type}`);
+  }
+}
+
+// ─── HTTP ─────────────────────────────────────────────────────────────────────
+
+async function uploadHttp(blob, { filename, mimeType }, { url, method = 'PUT', headers = [] }, onProgress) {
+  const target = url
+    .replace(/\{filename\}/g, uriEncode(leafName(filename)))
+    .replace(/\{path\}/g, encodePath(filename));
+  let body = blob;
+  const sent = Object.fromEntries(headers);
+  if (method === 'POST') {
+    body = new FormData();
+    body.append('file', blob, leafName(filename));
+    body.append('filename', filename);
+  } else {
+    sent['Content-Type'] = mimeType;
+  }
+  const res = await sendRequest(method, target, sent, body, onProgress);
+  checkStatus(res, method);
+  return { location: res.header('Location') || responseUrl(res) || target };
+}
+
+// A JSON answer naming where the file went ({ url } or { location })
+function responseUrl(res) {
+  try {
+    const json = JSON.parse(res.text);
+    return json.url || json.location || null;
+  } catch {
+    return null;
+  }
+}
+
+// ─── WebDAV ───────────────────────────────────────────────────────────────────
+
+async function uploadWebdav(blob, { filename, mimeType }, { url, username = '', password = '' }, onProgress) {
+  const base = url.replace(/\/+$/, '');
+  const auth = username || password ? { Authorization: `Basic ${base64(`${username}:${password}`)}` } : {};
+  const folders = filename.split('/').slice(0, -1);
+  // MKCOL answers 405 for a folder that already exists
+  for (let i = 1; i <= folders.length; i++) {
+    const res = await sendRequest('MKCOL', `${base}/${encodePath(folders.slice(0, i).join('/'))}/`, auth);
+    if (res.status !== 405) checkStatus(res, 'MKCOL');
+  }
+  const target = `${base}/${encodePath(filename)}`;
+  const res = await sendRequest('PUT', target, { ...auth, 'Content-Type': mimeType }, blob, onProgress);
+  checkStatus(res, 'PUT');
+  return { location: target };
+}
+
+// ─── S3 ───────────────────────────────────────────────────────────────────────
+
+async function uploadS3(blob, { filename, mimeType }, destination, onProgress) {
+  const prefix = (destination.prefix || '').replace(/^\/+/, '').replace(/([^/])$/, '$1/');
+  const key = prefix + filename;
+
+  if (destination.auth === 'presigned') {
+    const res = await sendRequest('POST', destination.presignUrl,
+      { ...Object.fromEntries(destination.headers || []), 'Content-Type': 'application/json' },
+      JSON.stringify({ key, contentType: mimeType, size: blob.size }));
+    checkStatus(res, 'presign');
+    let presigned;
+    try { presigned = JSON.parse(res.text); } catch { presigned = { url: res.text.trim() }; }
+    if (!presigned?.url) throw new UploadError('The presign endpoint returned no URL');
+    const put = await sendRequest('PUT', presigned.url, { 'Content-Type': mimeType, ...presigned.headers }, blob, onProgress);
+    checkStatus(put, 'PUT');
+    return { location: presigned.url.split('?')[0] };
+  }
+
+  const endpoint = new URL(destination.endpoint);
+  const url = destination.pathStyle !== false
+    ? `${endpoint.origin}/${uriEncode(destination.bucket)}/${encodePath(key)}`
+    : `${endpoint.protocol}//${destination.bucket}.${endpoint.host}/${encodePath(key)}`;
+  const headers = await signS3Request({
+    method: 'PUT',
+    url,
+    headers: { 'Content-Type': mimeType },
+    region: destination.region || 'us-east-1',
+    accessKeyId: destination.accessKeyId,
+    secretAccessKey: destination.secretAccessKey,
+  });
+  const res = await sendRequest('PUT', url, headers, blob, onProgress);
+  checkStatus(res, 'PUT');
+  return { location: url };
+}
+
+// AWS Signature Version 4 for one S3 request. The body isn't hashed
+// (UNSIGNED-PAYLOAD), so a large recording never has to be read twice.
+// Returns the headers to send; Host is signed but left to the browser.
+async function signS3Request({ method, url, headers = {}, region, accessKeyId, secretAccessKey,
+  payloadHash = 'UNSIGNED-PAYLOAD', date = new Date() }) {
+  const u = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const extra = { 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+  const all = new Map(Object.entries({ ...headers, ...extra, host: u.host })
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')]));
+  const names = [...all.keys()].sort();
+  const signedHeaders = names.join(';');
+  const query = [...u.searchParams]
+    .map(([k, v]) => `${uriEncode(k)}=${uriEncode(v)}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [
+    method,
+    u.pathname,
+    query,
+    names.map(n => `${n}:${all.get(n)}\n`).join(''),
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hex(await sha256(canonicalRequest))].join('\n');
+
+  let key = new TextEncoder().encode(`AWS4${secretAccessKey}`);
+  for (const part of [day, region, 's3', 'aws4_request']) key = await hmac(key, part);
+  const signature = hex(await hmac(key, stringToSign));
+  return {
+    ...headers,
+    ...extra,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+async function sha256(text) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+async function hmac(key, text) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(text)));
+}
+
+function hex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ─── Requests ─────────────────────────────────────────────────────────────────
+
+// XMLHttpRequest rather than fetch: only it reports upload progress.
+// Resolves to { status, text, header(name) } for any answer from the server.
+// A fixed timeout would cut off a large file on a slow line, so the request is
+// only given up once it has stalled for UPLOAD_STALL_MS.
+function sendRequest(method, url, headers = {}, body = null, onProgress = null) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let stallTimer = null;
+    const moving = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => {
+        xhr.abort();
+        reject(new UploadError(`${new URL(url).host} timed out`, true));
+      }, UPLOAD_STALL_MS);
+    };
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.upload.onprogress = (e) => {
+      moving();
+      if (onProgress && e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onprogress = moving;
+    xhr.onloadend = () => clearTimeout(stallTimer);
+    xhr.onload = () => resolve({ status: xhr.status, text: xhr.responseText, header: (name) => xhr.getResponseHeader(name) });
+    xhr.onerror = () => reject(new UploadError(`Could not reach ${new URL(url).host}`, true));
+    moving();
+    xhr.send(body);
+  });
+}
+
+function checkStatus(res, what) {
+  if (res.status >= 200 && res.status < 300) return;
+  const retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+  const detail = res.text?.match(/<Message>([^<]*)<\/Message>/)?.[1] || '';
+  throw new UploadError(`${what} answered ${res.status}${detail ? `: ${detail}` : ''}`, retryable);
+}
+
+// ─── Names ────────────────────────────────────────────────────────────────────
+
+// RFC 3986 encoding, which SigV4 requires and every other destination accepts
+function uriEncode(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodePath(path) {
+  return path.split('/').map(uriEncode).join('/');
+}
+
+function leafName(path) { return path.replace(/^.*[/\\]/, ''); }
+
+function base64(text) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
@@ -0,0 +1,412 @@
+// Makes MediaRecorder WebM files seekable. MediaRecorder streams its output, so
+// the Segment and Clusters have unknown sizes, Info has no Duration and there
+// is no Cues index — many players then show no length and seek slowly or not
+// at all. fixWebm() rewrites the file as:
+//
+//   EBML header | Segment (sized) { SeekHead, Info + Duration, Tracks, Clusters (sized), Tags, Cues }
+//
+// Tags are written when given: { title, artist, comment, url, date, part }.
+//
+// Clusters are copied as blob slices with only their size field patched, so
+// the audio is never read into memory — just element headers, a window at a time.
+//
+// Duration comes from the block timestamps. MediaRecorder leaves paused time
+// out of them, so it lines up with the recorded (unpaused) time background.js
+// keeps as finalElapsed.
+
+const EBML_ID = {
+  EBML:          0x1A45DFA3,
+  Segment:       0x18538067,
+  SeekHead:      0x114D9B74,
+  Seek:          0x4DBB,
+  SeekID:        0x53AB,
+  SeekPosition:  0x53AC,
+  Info:          0x1549A966,
+  Duration:      0x4489,
+  Title:         0x7BA9,
+  Tracks:        0x1654AE6B,
+  TrackEntry:    0xAE,
+  TrackNumber:   0xD7,
+  Cluster:       0x1F43B675,
+  Timecode:      0xE7,
+  SimpleBlock:   0xA3,
+  BlockGroup:    0xA0,
+  Block:         0xA1,
+  Cues:          0x1C53BB6B,
+  CuePoint:      0xBB,
+  CueTime:       0xB3,
+  CueTrackPositions:  0xB7,
+  CueTrack:           0xF7,
+  CueClusterPosition: 0xF1,
+  Tags:          0x1254C367,
+  Tag:           0x7373,
+  Targets:       0x63C0,
+  TargetTypeValue: 0x68CA,
+  SimpleTag:     0x67C8,
+  TagName:       0x45A3,
+  TagString:     0x4487,
+  Void:          0xEC,
+};
+
+// Elements that may appear inside a Cluster — anything else ends an unknown-sized one
+const CLUSTER_CHILDREN = new Set([0xE7, 0xA3, 0xA0, 0xA7, 0xAB, 0xA8, 0xEC, 0xBF]);
+
+const READ_WINDOW = 1024 * 1024;
+
+async function fixWebm(blob, tags = null) {
+  const reader = new BlobReader(blob);
+
+  const ebml = await readHeader(reader, 0);
+  if (!ebml || ebml.id !== EBML_ID.EBML) throw new Error('Not a WebM file');
+  const segment = await readHeader(reader, ebml.end);
+  if (!segment || segment.id !== EBML_ID.Segment) throw new Error('No Segment element');
+  const segmentEnd = segment.size === null ? blob.size : Math.min(blob.size, segment.end);
+
+  // Walk the Segment's children, sizing any Cluster that was left unknown
+  let info = null, tracks = null, trackNumber = 1;
+  const body = [];                // elements copied after Tracks, in order
+  const clusterTimes = new Map(); // Cluster element → its timecode, for Cues
+  let lastBlock = null, frameTicks = 0;
+
+  for (let pos = segment.dataStart; pos < segmentEnd;) {
+    const el = await readHeader(reader, pos);
+    if (!el) break;
+    if (el.id === EBML_ID.Cluster) {
+      const scan = await scanCluster(reader, el, segmentEnd);
+      if (scan.end === el.dataStart) break; // nothing complete in it — truncated recording
+      el.end = scan.end;
+      el.size = scan.end - el.dataStart;
+      clusterTimes.set(el, scan.timecode);
+      if (scan.lastBlock !== null) lastBlock = scan.lastBlock;
+      frameTicks = scan.frame || frameTicks;
+    } else if (el.size === null || el.end > segmentEnd) {
+      break; // only Clusters are written with unknown size; anything else is a cut-off tail
+    }
+
+    if (el.id === EBML_ID.Info) {
+      info = el;
+    } else if (el.id === EBML_ID.Tracks) {
+      tracks = el;
+      const entry = await findChild(reader, el, EBML_ID.TrackEntry);
+      trackNumber = await readUint(reader, entry && await findChild(reader, entry, EBML_ID.TrackNumber)) || trackNumber;
+    } else if (![EBML_ID.SeekHead, EBML_ID.Cues, EBML_ID.Void, ...(tags ? [EBML_ID.Tags] : [])].includes(el.id)) {
+      body.push(el);
+    }
+    pos = el.end;
+  }
+  if (!info || !tracks || clusterTimes.size === 0) throw new Error('Incomplete WebM file');
+
+  // Block timestamps are in TimecodeScale units; add one frame so the last block plays out
+  const durationTicks = lastBlock === null ? 0 : lastBlock + frameTicks;
+
+  const newInfo = await rewriteInfo(reader, info, durationTicks, tags?.title);
+  const tracksBytes = tracks.end - tracks.start;
+
+  // Offsets are relative to the start of the Segment's data. The SeekHead has
+  // a fixed size (8-byte positions), so it can be sized before it's filled in.
+  const tagsElement = tags ? buildTags(tags) : null;
+  const seekHeadSize = buildSeekHead({ info: 0, tracks: 0, cues: 0, tags: tagsElement ? 0 : null }).length;
+  const infoPos   = seekHeadSize;
+  const tracksPos = infoPos + newInfo.length;
+  let pos = tracksPos + tracksBytes;
+
+  const parts = [];
+  const cuePoints = [];
+  for (const el of body) {
+    if (clusterTimes.has(el)) {
+      cuePoints.push({ time: clusterTimes.get(el), position: pos });
+      parts.push(elementHeader(EBML_ID.Cluster, el.size), blob.slice(el.dataStart, el.end));
+      pos += idBytes(EBML_ID.Cluster).length + 8 + el.size;
+    } else {
+      parts.push(blob.slice(el.start, el.end));
+      pos += el.end - el.start;
+    }
+  }
+  const tagsPos = tagsElement ? pos : null;
+  if (tagsElement) pos += tagsElement.length;
+  const cuesPos = pos;
+  const cues = buildCues(cuePoints, trackNumber);
+  const seekHead = buildSeekHead({ info: infoPos, tracks: tracksPos, cues: cuesPos, tags: tagsPos });
+  const segmentSize = cuesPos + cues.length;
+
+  return new Blob([
+    blob.slice(ebml.start, ebml.end),
+    elementHeader(EBML_ID.Segment, segmentSize),
+    seekHead,
+    newInfo,
+    blob.slice(tracks.start, tracks.end),
+    ...parts,
+    ...(tagsElement ? [tagsElement] : []),
+    cues,
+  ], { type: blob.type });
+}
+
+// Joins WebM files recorded one after another from the same stream — replay
+// buffer segments, each from a MediaRecorder of its own — into one, as
+// MediaRecorder would have streamed it (Segment of unknown size) for fixWebm()
+// to index. The first file's Info and Tracks are kept; every file's Clusters
+// follow with their Timecode moved to where the previous file ended.
+async function joinWebm(blobs, type) {
+  const head = [], clusters = [];
+  let end = 0;   // where the joined timeline has got to, in TimecodeScale units
+
+  for (const [i, blob] of blobs.entries()) {
+    const reader = new BlobReader(blob);
+    const ebml = await readHeader(reader, 0);
+    if (!ebml || ebml.id !== EBML_ID.EBML) throw new Error('Not a WebM file');
+    const segment = await readHeader(reader, ebml.end);
+    if (!segment || segment.id !== EBML_ID.Segment) throw new Error('No Segment element');
+    const segmentEnd = segment.size === null ? blob.size : Math.min(blob.size, segment.end);
+    if (i === 0) head.push(blob.slice(ebml.start, ebml.end), UNKNOWN_SEGMENT);
+
+    let shift = null, lastBlock = null, frame = 0;
+    for (let pos = segment.dataStart; pos < segmentEnd;) {
+      const el = await readHeader(reader, pos);
+      if (!el) break;
+      if (el.id === EBML_ID.Cluster) {
+        const scan = await scanCluster(reader, el, segmentEnd);
+        if (scan.end === el.dataStart) break;
+        if (shift === null) shift = end - scan.timecode;
+        // Timecode comes first in a Cluster; everything after it is copied as is
+        const first = await readHeader(reader, el.dataStart);
+        const rest = first?.id === EBML_ID.Timecode ? first.end : el.dataStart;
+        const timecode = ebmlElement(EBML_ID.Timecode, [uintBytes(scan.timecode + shift)]);
+        clusters.push(elementHeader(EBML_ID.Cluster, timecode.length + scan.end - rest), timecode, blob.slice(rest, scan.end));
+        if (scan.lastBlock !== null) lastBlock = scan.lastBlock;
+        frame = scan.frame || frame;
+        pos = scan.end;
+        continue;
+      }
+      if (el.size === null || el.end > segmentEnd) break;
+      if (i === 0 && (el.id === EBML_ID.Info || el.id === EBML_ID.Tracks)) head.push(blob.slice(el.start, el.end));
+      pos = el.end;
+    }
+    if (lastBlock !== null) end = lastBlock + frame + shift;
+  }
+  if (!clusters.length) throw new Error('Nothing to join');
+  return new Blob([...head, ...clusters], { type });
+}
+
+// Finds where an unknown-sized Cluster ends (at the first element that can't
+// be a child, or the last complete child before a cut-off) and collects the
+// timestamps Cues and Duration need. Known-sized Clusters are scanned the same way.
+async function scanCluster(reader, cluster, limit) {
+  const stop = cluster.size === null ? limit : Math.min(limit, cluster.end);
+  let timecode = 0, lastBlock = null, frame = 0;
+  let pos = cluster.dataStart;
+
+  while (pos < stop) {
+    const child = await readHeader(reader, pos);
+    if (!child || !CLUSTER_CHILDREN.has(child.id) || child.size === null || child.end > stop) break;
+    if (child.id === EBML_ID.Timecode) {
+      timecode = await readUint(reader, child);
+    } else if (child.id === EBML_ID.SimpleBlock || child.id === EBML_ID.BlockGroup) {
+      const block = child.id === EBML_ID.SimpleBlock ? child : await findChild(reader, child, EBML_ID.Block);
+      const rel = block && await readBlockTimecode(reader, block);
+      if (rel !== null && rel !== undefined) {
+        const t = timecode + rel;
+        if (lastBlock !== null && t > lastBlock) frame = t - lastBlock;
+        lastBlock = t;
+      }
+    }
+    pos = child.end;
+  }
+  return { end: pos, timecode, lastBlock, frame };
+}
+
+// Block data starts with the track number (a vint) and a signed 16-bit
+// timecode relative to the Cluster's.
+async function readBlockTimecode(reader, block) {
+  const track = await readVint(reader, block.dataStart);
+  if (!track || !(await reader.ensure(block.dataStart + track.length, 2))) return null;
+  const p = block.dataStart + track.length;
+  const rel = (reader.byte(p) << 8) | reader.byte(p + 1);
+  return rel >= 0x8000 ? rel - 0x10000 : rel;
+}
+
+async function rewriteInfo(reader, info, durationTicks, title) {
+  const replaced = title ? [EBML_ID.Duration, EBML_ID.Title] : [EBML_ID.Duration];
+  const kept = [];
+  for (let pos = info.dataStart; pos < info.end;) {
+    const child = await readHeader(reader, pos);
+    if (!child || child.size === null) break;
+    if (!replaced.includes(child.id)) kept.push(await reader.read(child.start, child.end - child.start));
+    pos = child.end;
+  }
+  const duration = new DataView(new ArrayBuffer(8));
+  duration.setFloat64(0, durationTicks);
+  return ebmlElement(EBML_ID.Info, [
+    ...kept,
+    ebmlElement(EBML_ID.Duration, [new Uint8Array(duration.buffer)]),
+    ...(title ? [ebmlElement(EBML_ID.Title, [new TextEncoder().encode(title)])] : []),
+  ]);
+}
+
+// `tags` is null when there are no Tags to point at
+function buildSeekHead({ info, tracks, cues, tags = null }) {
+  const seek = (id, position) => ebmlElement(EBML_ID.Seek, [
+    ebmlElement(EBML_ID.SeekID, [idBytes(id)]),
+    ebmlElement(EBML_ID.SeekPosition, [uintBytes(position, 8)]),
+  ]);
+  return ebmlElement(EBML_ID.SeekHead, [
+    seek(EBML_ID.Info, info),
+    seek(EBML_ID.Tracks, tracks),
+    ...(tags === null ? [] : [seek(EBML_ID.Tags, tags)]),
+    seek(EBML_ID.Cues, cues),
+  ]);
+}
+
+// One file-level Tag (TargetTypeValue 50) with Matroska's standard tag names
+function buildTags({ title, artist, comment, url, date, part }) {
+  const enc = new TextEncoder();
+  const simpleTags = [
+    ['TITLE', title],
+    ['ARTIST', artist],
+    ['COMMENT', comment],
+    ['URL', url],
+    ['DATE_RECORDED', date && date.slice(0, 19).replace('T', ' ')],
+    ['PART_NUMBER', part && String(part)],
+    ['ENCODER', 'Tab Audio Recorder'],
+  ].filter(([, value]) => value).map(([name, value]) => ebmlElement(EBML_ID.SimpleTag, [
+    ebmlElement(EBML_ID.TagName, [enc.encode(name)]),
+    ebmlElement(EBML_ID.TagString, [enc.encode(value)]),
+  ]));
+  return ebmlElement(EBML_ID.Tags, [
+    ebmlElement(EBML_ID.Tag, [
+      ebmlElement(EBML_ID.Targets, [ebmlElement(EBML_ID.TargetTypeValue, [uintBytes(50)])]),
+      ...simpleTags,
+    ]),
+  ]);
+}
+
+function buildCues(points, trackNumber) {
+  return ebmlElement(EBML_ID.Cues, points.map(({ time, position }) =>
+    ebmlElement(EBML_ID.CuePoint, [
+      ebmlElement(EBML_ID.CueTime, [uintBytes(time)]),
+      ebmlElement(EBML_ID.CueTrackPositions, [
+        ebmlElement(EBML_ID.CueTrack, [uintBytes(trackNumber)]),
+        ebmlElement(EBML_ID.CueClusterPosition, [uintBytes(position)]),
+      ]),
+    ])
+  ));
+}
+
+// ─── EBML reading ─────────────────────────────────────────────────────────────
+
+// Reads a Blob through a sliding window so headers can be parsed without
+// loading the whole file.
+class BlobReader {
+  constructor(blob) {
+    this.blob  = blob;
+    this.start = 0;
+    this.bytes = new Uint8Array(0);
+  }
+
+  // Makes [pos, pos + n) readable via byte(); false if the blob ends first
+  async ensure(pos, n) {
+    if (pos >= this.start && pos + n <= this.start + this.bytes.length) return true;
+    if (pos + n > this.blob.size) return false;
+    const end = Math.min(this.blob.size, pos + Math.max(n, READ_WINDOW));
+    this.bytes = new Uint8Array(await this.blob.slice(pos, end).arrayBuffer());
+    this.start = pos;
+    return true;
+  }
+
+  byte(pos) {
+    return this.bytes[pos - this.start];
+  }
+
+  async read(pos, n) {
+    return new Uint8Array(await this.blob.slice(pos, pos + n).arrayBuffer());
+  }
+}
+
+// Variable-length integer: the count of leading zero bits in the first byte
+// gives the length. `raw` keeps the marker bit (element IDs are written that way).
+async function readVint(reader, pos, raw = false) {
+  if (!(await reader.ensure(pos, 1))) return null;
+  const first = reader.byte(pos);
+  const length = first === 0 ? 9 : 8 - Math.floor(Math.log2(first));
+  if (length > 8 || !(await reader.ensure(pos, length))) return null;
+
+  let value = raw ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    const b = reader.byte(pos + i);
+    value = value * 256 + b;
+    allOnes = allOnes && b === 0xFF;
+  }
+  return { value, length, unknown: !raw && allOnes };
+}
+
+// { id, start, dataStart, size, end } — size and end are null for unknown sizes
+async function readHeader(reader, pos) {
+  const id = await readVint(reader, pos, true);
+  if (!id || id.length > 4) return null;
+  const size = await readVint(reader, pos + id.length);
+  if (!size) return null;
+  const dataStart = pos + id.length + size.length;
+  return {
+    id: id.value,
+    start: pos,
+    dataStart,
+    size: size.unknown ? null : size.value,
+    end: size.unknown ? null : dataStart + size.value,
+  };
+}
+
+async function findChild(reader, parent, id) {
+  for (let pos = parent.dataStart; pos < parent.end;) {
+    const child = await readHeader(reader, pos);
+    if (!child || child.size === null) return null;
+    if (child.id === id) return child;
+    pos = child.end;
+  }
+  return null;
+}
+
+async function readUint(reader, el) {
+  if (!el || el.size > 8 || !(await reader.ensure(el.dataStart, el.size))) return 0;
+  let value = 0;
+  for (let i = 0; i < el.size; i++) value = value * 256 + reader.byte(el.dataStart + i);
+  return value;
+}
+
+// ─── EBML writing ─────────────────────────────────────────────────────────────
+
+function idBytes(id) {
+  const bytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+  return new Uint8Array(bytes);
+}
+
+// Big-endian unsigned integer, in `width` bytes or as few as it needs
+function uintBytes(value, width = 0) {
+  const bytes = [];
+  for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+  while (bytes.length < Math.max(width, 1)) bytes.unshift(0);
+  return new Uint8Array(bytes);
+}
+
+// Sizes are always written as 8-byte vints — wasteful by a few bytes, but an
+// element's header length then never depends on its contents.
+function elementHeader(id, size) {
+  const sizeBytes = uintBytes(size, 8);
+  sizeBytes[0] |= 0x01;
+  return concatBytes([idBytes(id), sizeBytes]);
+}
+
+// Segment header with the reserved "unknown" size, as MediaRecorder writes it
+const UNKNOWN_SEGMENT = concatBytes([idBytes(EBML_ID.Segment), new Uint8Array([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF])]);
+
+function ebmlElement(id, children) {
+  const payload = concatBytes(children);
+  return concatBytes([elementHeader(id, payload.length), payload]);
+}
+
+function concatBytes(arrays) {
+  const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+  let offset = 0;
+  arrays.forEach((a) => { out.set(a, offset); offset += a.length; });
+  return out;
+}